@@ -6,8 +6,12 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { google } = require('googleapis');
 const { v4: uuidv4 } = require('uuid');
+const nodemailer = require('nodemailer');
 
 const app = express();
 app.use(bodyParser.json());
@@ -19,6 +23,29 @@ const ADMIN_CHAT_ID = process.env.ADMIN_CHAT_ID || "";
 const ADMIN_SYNC_SECRET = process.env.ADMIN_SYNC_SECRET || "change_me_in_production";
 const PORT = process.env.PORT || 8080;
 
+// Run mode: "webhook" (Telegram calls POST /webhook) or "polling" (getUpdates loop,
+// for local development without a public URL)
+const BOT_MODE = (process.env.BOT_MODE || "webhook").toLowerCase();
+
+// Webhook: full public URL of the /webhook route and the secret Telegram sends back
+// in the X-Telegram-Bot-Api-Secret-Token header (A-Z, a-z, 0-9, _ and -)
+const WEBHOOK_URL = process.env.WEBHOOK_URL || "";
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const WEBHOOK_ALLOWED_UPDATES = (process.env.WEBHOOK_ALLOWED_UPDATES || "message,callback_query")
+  .split(",").map(s => s.trim()).filter(Boolean);
+
+// Storage backend: "sheets" (Google Sheets) or "file" (local JSON files in DATA_DIR)
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "sheets").toLowerCase();
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+
+// SMTP for outgoing email (without SMTP_HOST emails are only queued in EmailOutbox)
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
+const SMTP_SECURE = (process.env.SMTP_SECURE || "false").toLowerCase() === "true";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASS = process.env.SMTP_PASS || "";
+const MAIL_FROM = process.env.MAIL_FROM || "RBI24 <no-reply@rbi24.com>";
+
 // Channel Links (can be updated via ENV or here)
 const CHANNELS = {
   starter: process.env.STARTER_CHANNEL || "@RBI24_Starter",
@@ -27,147 +54,548 @@ const CHANNELS = {
   advisor: process.env.ADVISOR_CHANNEL || "@RBI24_Advisor"
 };
 
-if (!BOT_TOKEN || !SPREADSHEET_ID) {
-  console.error("❌ BOT_TOKEN and SPREADSHEET_ID must be set as environment variables");
+if (!BOT_TOKEN) {
+  console.error("❌ BOT_TOKEN must be set as an environment variable");
+  process.exit(1);
+}
+
+if (STORAGE_BACKEND !== "sheets" && STORAGE_BACKEND !== "file") {
+  console.error(`❌ Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected "sheets" or "file")`);
+  process.exit(1);
+}
+
+if (STORAGE_BACKEND === "sheets" && !SPREADSHEET_ID) {
+  console.error("❌ SPREADSHEET_ID must be set when STORAGE_BACKEND is \"sheets\"");
+  process.exit(1);
+}
+
+if (BOT_MODE !== "webhook" && BOT_MODE !== "polling") {
+  console.error(`❌ Unknown BOT_MODE "${BOT_MODE}" (expected "webhook" or "polling")`);
+  process.exit(1);
+}
+
+if (WEBHOOK_SECRET && !/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+  console.error("❌ WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (1-256 chars)");
   process.exit(1);
 }
 
 const TELEGRAM_API = `https://api.telegram.org/bot${BOT_TOKEN}`;
 
-// ---- Google Sheets auth using service account ----
-let sheetsClient;
+// ---- Data model (one sheet / table per entity) ----
+const SHEET_SCHEMAS = [
+  { 
+    name: "Users", 
+    headers: ["UserID", "Username", "FirstName", "LastName", "Email", "EmailConfirmed", "JoinedAt", "LastActive", "Blocked"] 
+  },
+  { 
+    name: "State", 
+    headers: ["UserID", "Step", "TempData", "LastMenu", "TempEmail"] 
+  },
+  { 
+    name: "Tickets", 
+    headers: ["TicketID", "UserID", "Email", "Message", "Answer", "CreatedAt", "AnsweredAt", "Notified", "Status", "UpdatedAt", "Category", "Priority", "WaitingSince", "SlaAlertedAt", "AnsweredBy"] 
+  },
+  {
+    name: "TicketMessages",
+    headers: ["MessageID", "TicketID", "Sender", "SenderID", "Message", "CreatedAt", "Attachments", "Rating", "RatingComment", "RatedAt"]
+  },
+  { 
+    name: "EmailLog", 
+    headers: ["UserID", "Email", "Count", "LastSentAt"] 
+  },
+  { 
+    name: "InvestRequests", 
+    headers: ["RequestID", "UserID", "FullName", "Email", "TxHash", "Duration", "Amount", "Status", "Notified", "CreatedAt"] 
+  },
+  { 
+    name: "WithdrawRequests", 
+    headers: ["RequestID", "UserID", "FullName", "Email", "WalletAddress", "Amount", "Status", "Notified", "CreatedAt", "Network"] 
+  },
+  { 
+    name: "BroadcastLogs", 
+    headers: ["BroadcastID", "UserID", "MessageID", "SentAt", "DeletedFlag"] 
+  },
+  { 
+    name: "Announcements", 
+    headers: ["ID", "Title", "Message", "CreatedAt", "IsActive"] 
+  },
+  { 
+    name: "FAQ", 
+    headers: ["ID", "Category", "Question", "Answer", "Order"] 
+  },
+  {
+    name: "UserActions",
+    headers: ["UserID", "Action", "Timestamp"]
+  },
+  {
+    name: "TicketRateLimits",
+    headers: ["UserID", "Count", "LastTicketAt"]
+  },
+  {
+    name: "Lessons",
+    headers: ["ID", "Key", "Title", "TextContent", "VideoLink", "IsActive"]
+  },
+  {
+    name: "FilteredBroadcast",
+    headers: ["BroadcastID", "TargetUserIDs", "Message", "SentAt", "SentCount"]
+  },
+  {
+    name: "Settings",
+    headers: ["Key", "Value", "UpdatedAt"]
+  },
+  {
+    name: "BroadcastJobs",
+    headers: ["JobID", "Type", "Status", "Message", "Total", "Sent", "Failed", "AdminChatID", "ProgressMessageID", "CreatedAt", "FinishedAt"]
+  },
+  {
+    name: "BroadcastQueue",
+    headers: ["JobID", "UserID", "Status", "MessageID", "Attempts", "UpdatedAt", "Error"]
+  },
+  {
+    name: "Admins",
+    headers: ["UserID", "Role", "Name", "AddedBy", "AddedAt", "IsActive"]
+  },
+  {
+    name: "EmailVerifications",
+    headers: ["UserID", "Email", "CodeHash", "ExpiresAt", "Attempts", "SentAt"]
+  },
+  {
+    name: "EmailOutbox",
+    headers: ["EmailID", "To", "Template", "Data", "Status", "Attempts", "NextAttemptAt", "LastError", "CreatedAt", "SentAt"]
+  },
+  {
+    name: "Segments",
+    headers: ["SegmentID", "Name", "Filters", "CreatedAt", "IsActive"]
+  },
+  {
+    name: "ScheduledBroadcasts",
+    headers: ["ScheduleID", "Type", "Content", "TargetUserIDs", "RunAt", "Status", "AdminChatID", "CreatedAt", "DispatchedAt"]
+  },
+  {
+    name: "CannedResponses",
+    headers: ["ResponseID", "Title", "Text", "CreatedBy", "CreatedAt", "IsActive"]
+  },
+  {
+    name: "AuditLog",
+    headers: ["Timestamp", "ActorID", "ActorRole", "Action", "Target", "Summary"]
+  }
+];
 
-async function initSheetsClient() {
-  const rawKey = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_JSON;
-  let auth;
-  
-  if (rawKey) {
-    const key = JSON.parse(rawKey);
-    auth = new google.auth.GoogleAuth({
-      credentials: key,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets']
-    });
-  } else {
-    auth = new google.auth.GoogleAuth({
-      scopes: ['https://www.googleapis.com/auth/spreadsheets']
-    });
+// شیت‌هایی که در بکاپ می‌آیند؛ State، Settings، صف‌ها و کدهای تایید ایمیل عمداً حذف شده‌اند
+const BACKUP_SHEETS = [
+  "Users", "Tickets", "TicketMessages", "EmailLog",
+  "InvestRequests", "WithdrawRequests",
+  "BroadcastLogs", "Announcements", "FAQ", "Lessons",
+  "UserActions", "Segments", "ScheduledBroadcasts", "CannedResponses",
+  "Admins", "AuditLog"
+];
+
+// ========================================
+// STORAGE BACKENDS
+// ========================================
+// هر بک‌اند این متدها را دارد:
+//   init(), ensureSheets(schemas), read(sheetName),
+//   appendRows(sheetName, rows), batchUpdate([{ sheetName, rowNumber, cells }])
+// ردیف‌ها مثل Google Sheets هستند: ردیف ۱ هدر است و rowNumber از ۱ شروع می‌شود.
+// cells فقط خانه‌های تغییرکرده است ({ columnIndex: value }) تا ویرایش دستی بقیه خانه‌ها
+// در شیت بازنویسی نشود.
+
+// مقادیر مثل خروجی Sheets به صورت رشته نگه داشته می‌شوند
+function toCells(values) {
+  return values.map(v => (v === null || v === undefined ? "" : String(v)));
+}
+
+// 0 -> A، 25 -> Z، 26 -> AA
+function columnLetter(index) {
+  let out = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    out = String.fromCharCode(65 + ((n - 1) % 26)) + out;
   }
-  
-  sheetsClient = google.sheets({ version: 'v4', auth });
-  console.log("✅ Google Sheets client initialized");
+  return out;
 }
 
-// ---- Ensure Sheet Structure ----
-async function ensureSheetHeaders() {
-  const sheets = sheetsClient;
-  const meta = [
-    { 
-      name: "Users", 
-      headers: ["UserID", "Username", "FirstName", "LastName", "Email", "EmailConfirmed", "JoinedAt", "LastActive"] 
-    },
-    { 
-      name: "State", 
-      headers: ["UserID", "Step", "TempData", "LastMenu", "TempEmail"] 
-    },
-    { 
-      name: "Tickets", 
-      headers: ["TicketID", "UserID", "Email", "Message", "Answer", "CreatedAt", "AnsweredAt", "Notified"] 
-    },
-    { 
-      name: "EmailLog", 
-      headers: ["UserID", "Email", "Count", "LastSentAt"] 
-    },
-    { 
-      name: "InvestRequests", 
-      headers: ["RequestID", "UserID", "FullName", "Email", "TxHash", "Duration", "Amount", "Status", "Notified", "CreatedAt"] 
+// خانه‌های تغییرکرده یک ردیف به بازه‌های پیوسته (هر بازه یک range در batchUpdate)
+function cellRuns(cells) {
+  const cols = Object.keys(cells).map(Number).sort((a, b) => a - b);
+  const runs = [];
+
+  for (const col of cols) {
+    const last = runs[runs.length - 1];
+    if (last && last.start + last.values.length === col) last.values.push(cells[col]);
+    else runs.push({ start: col, values: [cells[col]] });
+  }
+
+  return runs;
+}
+
+// ---- Google Sheets (service account) ----
+function createSheetsStorage(spreadsheetId) {
+  let sheetsClient;
+
+  return {
+    name: "sheets",
+
+    async init() {
+      const rawKey = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_JSON;
+      let auth;
+      
+      if (rawKey) {
+        const key = JSON.parse(rawKey);
+        auth = new google.auth.GoogleAuth({
+          credentials: key,
+          scopes: ['https://www.googleapis.com/auth/spreadsheets']
+        });
+      } else {
+        auth = new google.auth.GoogleAuth({
+          scopes: ['https://www.googleapis.com/auth/spreadsheets']
+        });
+      }
+      
+      sheetsClient = google.sheets({ version: 'v4', auth });
+      console.log("✅ Google Sheets client initialized");
     },
-    { 
-      name: "WithdrawRequests", 
-      headers: ["RequestID", "UserID", "FullName", "Email", "WalletAddress", "Amount", "Status", "Notified", "CreatedAt"] 
+
+    async ensureSheets(schemas) {
+      const spreadsheet = await sheetsClient.spreadsheets.get({ spreadsheetId });
+      const existing = spreadsheet.data.sheets.map(s => s.properties.title);
+
+      for (const s of schemas) {
+        if (!existing.includes(s.name)) {
+          await sheetsClient.spreadsheets.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+              requests: [{ addSheet: { properties: { title: s.name } } }]
+            }
+          });
+          console.log(`✅ Created sheet: ${s.name}`);
+        }
+
+        await sheetsClient.spreadsheets.values.update({
+          spreadsheetId,
+          range: `${s.name}!A1`,
+          valueInputOption: "RAW",
+          requestBody: { values: [s.headers] }
+        });
+      }
     },
-    { 
-      name: "BroadcastLogs", 
-      headers: ["BroadcastID", "UserID", "MessageID", "SentAt", "DeletedFlag"] 
+
+    async read(sheetName) {
+      const res = await sheetsClient.spreadsheets.values.get({ 
+        spreadsheetId, 
+        range: `${sheetName}` 
+      });
+      return res.data.values || [];
     },
-    { 
-      name: "Announcements", 
-      headers: ["ID", "Title", "Message", "CreatedAt", "IsActive"] 
+
+    async appendRows(sheetName, rows) {
+      await sheetsClient.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${sheetName}!A:A`,
+        valueInputOption: "RAW",
+        requestBody: { values: rows }
+      });
     },
-    { 
-      name: "FAQ", 
-      headers: ["ID", "Category", "Question", "Answer", "Order"] 
+
+    async batchUpdate(updates) {
+      await sheetsClient.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          valueInputOption: "RAW",
+          data: updates.flatMap(u => cellRuns(u.cells).map(run => ({
+            range: `${u.sheetName}!${columnLetter(run.start)}${u.rowNumber}:` +
+              `${columnLetter(run.start + run.values.length - 1)}${u.rowNumber}`,
+            values: [run.values]
+          })))
+        }
+      });
+    }
+  };
+}
+
+// ---- Local JSON files (one file per sheet) - برای توسعه و تست آفلاین ----
+function createFileStorage(dir) {
+  const tables = new Map();
+  const writeQueues = new Map();
+
+  const fileFor = name => path.join(dir, `${name}.json`);
+
+  function load(name) {
+    if (!tables.has(name)) {
+      const file = fileFor(name);
+      tables.set(name, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : []);
+    }
+    return tables.get(name);
+  }
+
+  // نوشتن‌ها برای هر فایل پشت سر هم انجام می‌شوند و با rename اتمیک هستند
+  function persist(name) {
+    const prev = writeQueues.get(name) || Promise.resolve();
+    const next = prev.then(async () => {
+      const file = fileFor(name);
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(tables.get(name)));
+      await fs.promises.rename(tmp, file);
+    });
+    writeQueues.set(name, next.catch(e => console.error(`File storage write ${name} failed:`, e.message)));
+    return next;
+  }
+
+  return {
+    name: "file",
+
+    async init() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      console.log(`✅ File storage initialized at ${dir}`);
     },
-    {
-      name: "UserActions",
-      headers: ["UserID", "Action", "Timestamp"]
+
+    async ensureSheets(schemas) {
+      for (const s of schemas) {
+        const rows = load(s.name);
+        if (rows.length === 0) console.log(`✅ Created sheet: ${s.name}`);
+        rows[0] = s.headers.slice();
+        await persist(s.name);
+      }
     },
-    {
-      name: "TicketRateLimits",
-      headers: ["UserID", "Count", "LastTicketAt"]
+
+    async read(sheetName) {
+      return load(sheetName).map(r => r.slice());
     },
-    {
-      name: "Lessons",
-      headers: ["ID", "Key", "Title", "TextContent", "VideoLink", "IsActive"]
+
+    async appendRows(sheetName, rows) {
+      const table = load(sheetName);
+      for (const r of rows) table.push(toCells(r));
+      await persist(sheetName);
     },
-    {
-      name: "FilteredBroadcast",
-      headers: ["BroadcastID", "TargetUserIDs", "Message", "SentAt", "SentCount"]
+
+    async batchUpdate(updates) {
+      const touched = new Set();
+
+      for (const u of updates) {
+        const rows = load(u.sheetName);
+        while (rows.length < u.rowNumber) rows.push([]);
+        // مثل Sheets فقط خانه‌های داده‌شده بازنویسی می‌شوند
+        const row = rows[u.rowNumber - 1];
+        for (const [col, v] of Object.entries(u.cells)) row[col] = v;
+        touched.add(u.sheetName);
+      }
+
+      for (const name of touched) await persist(name);
     }
-  ];
+  };
+}
 
-  const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
-  const existing = spreadsheet.data.sheets.map(s => s.properties.title);
+const storage = STORAGE_BACKEND === "file"
+  ? createFileStorage(DATA_DIR)
+  : createSheetsStorage(SPREADSHEET_ID);
 
-  for (const s of meta) {
-    if (!existing.includes(s.name)) {
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId: SPREADSHEET_ID,
-        requestBody: {
-          requests: [{ addSheet: { properties: { title: s.name } } }]
-        }
-      });
-      
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: SPREADSHEET_ID,
-        range: `${s.name}!A1`,
-        valueInputOption: "RAW",
-        requestBody: { values: [s.headers] }
-      });
-      
-      console.log(`✅ Created sheet: ${s.name}`);
-    } else {
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: SPREADSHEET_ID,
-        range: `${s.name}!A1`,
-        valueInputOption: "RAW",
-        requestBody: { values: [s.headers] }
-      });
+async function ensureSheetHeaders() {
+  await storage.ensureSheets(SHEET_SCHEMAS);
+  console.log("✅ All sheets verified");
+}
+
+// ========================================
+// SHEET CACHE & WRITE BATCHING
+// ========================================
+// داده هر شیت یک بار خوانده و در حافظه نگه داشته می‌شود (همراه با ایندکس ستون اول،
+// مثل UserID -> ردیف). نوشتن‌ها اول روی کش اعمال و سپس با تاخیر کوتاه به صورت
+// یک append برای هر شیت و یک batchUpdate برای همه ویرایش‌ها ارسال می‌شوند.
+// هر شیت حداکثر CACHE_TTL_MS معتبر است و بعد از آن دوباره از storage خوانده می‌شود
+// تا تغییرات دستی در Google Sheets هم دیده شود.
+// نوشتن ناموفق هیچ‌وقت دور ریخته نمی‌شود: در صف می‌ماند و با backoff دوباره تلاش می‌شود،
+// بعد از FLUSH_ALERT_AFTER شکست پیاپی به ادمین هشدار داده می‌شود و اگر هنگام خاموش شدن
+// هنوز ثبت نشده باشد در PENDING_WRITES_FILE ذخیره و در استارت بعدی دوباره صف می‌شود.
+
+const CACHE_TTL_MS = Number(process.env.CACHE_TTL_MS || 5 * 60 * 1000);
+const WRITE_FLUSH_DELAY_MS = Number(process.env.WRITE_FLUSH_DELAY_MS || 300);
+const FLUSH_MAX_BACKOFF_MS = 60 * 1000;
+const FLUSH_ALERT_AFTER = 5;
+const PENDING_WRITES_FILE = path.join(DATA_DIR, "pending-writes.json");
+
+const sheetCache = new Map();      // sheetName -> { rows, index, loadedAt }
+const sheetLoads = new Map();      // sheetName -> Promise (بارگذاری در حال انجام)
+let pendingAppends = new Map();    // sheetName -> rows[]
+let pendingUpdates = new Map();    // "sheet!row" -> { sheetName, rowNumber, cells }
+let flushTimer = null;
+let storageLock = Promise.resolve();
+let flushFailures = 0;
+
+// خواندن مجدد و flush هیچ‌وقت هم‌زمان اجرا نمی‌شوند
+function withStorageLock(fn) {
+  const run = storageLock.then(fn);
+  storageLock = run.catch(() => {});
+  return run;
+}
+
+function buildFirstColIndex(rows) {
+  const index = new Map();
+  for (let i = 1; i < rows.length; i++) {
+    const key = String(rows[i][0]);
+    if (!index.has(key)) index.set(key, i);
+  }
+  return index;
+}
+
+async function loadSheet(sheetName) {
+  const cached = sheetCache.get(sheetName);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached;
+
+  if (!sheetLoads.has(sheetName)) {
+    const load = withStorageLock(async () => {
+      // قبل از خواندن مجدد، نوشتن‌های معلق باید ثبت شده باشند
+      await flushPending();
+      const rows = (await storage.read(sheetName)).map(r => toCells(r));
+
+      // نوشتن‌هایی که بعد از flush صف شده‌اند هنوز در storage نیستند
+      for (const r of pendingAppends.get(sheetName) || []) rows.push(r.slice());
+      for (const u of pendingUpdates.values()) {
+        if (u.sheetName !== sheetName) continue;
+        while (rows.length < u.rowNumber) rows.push([]);
+        for (const [col, v] of Object.entries(u.cells)) rows[u.rowNumber - 1][col] = v;
+      }
+
+      const entry = { rows, index: buildFirstColIndex(rows), loadedAt: Date.now() };
+      sheetCache.set(sheetName, entry);
+      return entry;
+    });
+    sheetLoads.set(sheetName, load);
+    load.then(() => sheetLoads.delete(sheetName), () => sheetLoads.delete(sheetName));
+  }
+
+  return sheetLoads.get(sheetName);
+}
+
+function invalidateSheet(sheetName) {
+  sheetCache.delete(sheetName);
+}
+
+function scheduleFlush(delay = WRITE_FLUSH_DELAY_MS) {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushWrites().catch(() => {});
+  }, delay);
+}
+
+function flushWrites() {
+  return withStorageLock(flushPending);
+}
+
+async function flushPending() {
+  if (pendingAppends.size === 0 && pendingUpdates.size === 0) return;
+
+  const appends = pendingAppends;
+  const updates = pendingUpdates;
+  pendingAppends = new Map();
+  pendingUpdates = new Map();
+
+  try {
+    // append ها قبل از update ها تا ویرایش ردیف‌های تازه اضافه‌شده درست اعمال شود
+    for (const [sheetName, rows] of appends) {
+      await storage.appendRows(sheetName, rows);
+      appends.delete(sheetName);
+    }
+    if (updates.size > 0) await storage.batchUpdate([...updates.values()]);
+
+    if (flushFailures >= FLUSH_ALERT_AFTER) {
+      await alertStorage(`✅ ذخیره‌سازی دوباره برقرار شد؛ نوشتن‌های معلق بعد از ${flushFailures} تلاش ثبت شدند.`);
+    }
+    flushFailures = 0;
+  } catch (e) {
+    flushFailures++;
+    console.error(`❌ Storage flush failed (attempt ${flushFailures}):`, e.message);
+
+    if (flushFailures === FLUSH_ALERT_AFTER) {
+      await alertStorage(
+        `⚠️ ثبت در دیتابیس ${flushFailures} بار پیاپی ناموفق بود. نوشتن‌ها در صف می‌مانند و دوباره تلاش می‌شوند.\n\n` +
+        `خطا: ${escapeHtml(e.message)}`
+      );
+    }
+
+    // برگرداندن نوشتن‌های ناموفق به صف (قبل از نوشتن‌های جدیدتر)
+    for (const [sheetName, rows] of pendingAppends) {
+      appends.set(sheetName, (appends.get(sheetName) || []).concat(rows));
     }
+    for (const [key, u] of pendingUpdates) {
+      const prev = updates.get(key);
+      updates.set(key, prev ? mergeRowUpdate(prev, u) : u);
+    }
+    pendingAppends = appends;
+    pendingUpdates = updates;
+    scheduleFlush(flushRetryDelay(flushFailures));
   }
-  
-  console.log("✅ All sheets verified");
+}
+
+// backoff نمایی بعد از هر شکست پیاپی، حداکثر FLUSH_MAX_BACKOFF_MS
+function flushRetryDelay(failures) {
+  return Math.min(WRITE_FLUSH_DELAY_MS * 2 ** failures, FLUSH_MAX_BACKOFF_MS);
+}
+
+function mergeRowUpdate(prev, next) {
+  return { sheetName: next.sheetName, rowNumber: next.rowNumber, cells: { ...prev.cells, ...next.cells } };
+}
+
+// مستقیم با axios (نه telegramCall) تا خطای تلگرام دوباره به هشدار دیگری نرسد
+async function alertStorage(text) {
+  if (!ADMIN_CHAT_ID) return;
+  try {
+    await axios.post(`${TELEGRAM_API}/sendMessage`,
+      { chat_id: String(ADMIN_CHAT_ID), text, parse_mode: "HTML" }, { timeout: 15000 });
+  } catch (e) {
+    console.error("❌ Storage alert failed:", e.message);
+  }
+}
+
+// آخرین راه هنگام خاموش شدن: نوشتن‌های ثبت‌نشده روی دیسک می‌مانند
+function savePendingWritesLocally() {
+  if (pendingAppends.size === 0 && pendingUpdates.size === 0) return;
+
+  const data = { appends: [...pendingAppends], updates: [...pendingUpdates.values()] };
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(PENDING_WRITES_FILE, JSON.stringify(data));
+  console.error(`⚠️ Unflushed writes saved to ${PENDING_WRITES_FILE}`);
+}
+
+function restorePendingWrites() {
+  if (!fs.existsSync(PENDING_WRITES_FILE)) return;
+
+  const data = JSON.parse(fs.readFileSync(PENDING_WRITES_FILE, "utf8"));
+  for (const [sheetName, rows] of data.appends || []) {
+    pendingAppends.set(sheetName, (pendingAppends.get(sheetName) || []).concat(rows));
+  }
+  for (const u of data.updates || []) {
+    const key = `${u.sheetName}!${u.rowNumber}`;
+    const prev = pendingUpdates.get(key);
+    pendingUpdates.set(key, prev ? mergeRowUpdate(prev, u) : u);
+  }
+
+  fs.unlinkSync(PENDING_WRITES_FILE);
+  console.log(`✅ Restored unflushed writes from ${PENDING_WRITES_FILE}`);
+  scheduleFlush();
 }
 
 // ========================================
-// GOOGLE SHEETS HELPERS
+// STORAGE HELPERS
 // ========================================
 
 async function appendRow(sheetName, rowValues) {
-  await sheetsClient.spreadsheets.values.append({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `${sheetName}!A:A`,
-    valueInputOption: "RAW",
-    requestBody: { values: [rowValues] }
-  });
+  const values = toCells(rowValues);
+  const cached = sheetCache.get(sheetName);
+
+  if (cached) {
+    cached.rows.push(values);
+    const key = String(values[0]);
+    if (!cached.index.has(key)) cached.index.set(key, cached.rows.length - 1);
+  }
+
+  if (!pendingAppends.has(sheetName)) pendingAppends.set(sheetName, []);
+  pendingAppends.get(sheetName).push(values);
+  scheduleFlush();
 }
 
 async function readSheet(sheetName) {
   try {
-    const res = await sheetsClient.spreadsheets.values.get({ 
-      spreadsheetId: SPREADSHEET_ID, 
-      range: `${sheetName}` 
-    });
-    return res.data.values || [];
+    const entry = await loadSheet(sheetName);
+    return entry.rows.map(r => r.slice());
   } catch (e) {
     console.error(`Error reading sheet ${sheetName}:`, e.message);
     return [];
@@ -181,14 +609,41 @@ function findIndexByFirstCol(data, val) {
   return -1;
 }
 
+// پیدا کردن ردیف با ستون اول از روی ایندکس کش، بدون کپی کل شیت
+async function findRowByFirstCol(sheetName, val) {
+  const entry = await loadSheet(sheetName);
+  const idx = entry.index.get(String(val));
+  if (idx === undefined) return null;
+  return { row: entry.rows[idx].slice(), rowNumber: idx + 1 };
+}
+
+// فقط خانه‌هایی که نسبت به کش تغییر کرده‌اند نوشته می‌شوند
 async function updateRow(sheetName, rowNumber, rowValues) {
-  const range = `${sheetName}!A${rowNumber}:Z${rowNumber}`;
-  await sheetsClient.spreadsheets.values.update({
-    spreadsheetId: SPREADSHEET_ID,
-    range,
-    valueInputOption: "RAW",
-    requestBody: { values: [rowValues] }
-  });
+  const values = toCells(rowValues);
+  const cached = sheetCache.get(sheetName);
+  const cells = {};
+
+  if (cached) {
+    while (cached.rows.length < rowNumber) cached.rows.push([]);
+    const row = cached.rows[rowNumber - 1];
+    const oldKey = String(row[0]);
+    values.forEach((v, i) => {
+      if ((row[i] === undefined ? "" : row[i]) !== v) cells[i] = v;
+      row[i] = v;
+    });
+
+    if (oldKey !== String(row[0])) cached.index = buildFirstColIndex(cached.rows);
+  } else {
+    values.forEach((v, i) => { cells[i] = v; });
+  }
+
+  if (Object.keys(cells).length === 0) return;
+
+  const key = `${sheetName}!${rowNumber}`;
+  const update = { sheetName, rowNumber, cells };
+  const prev = pendingUpdates.get(key);
+  pendingUpdates.set(key, prev ? mergeRowUpdate(prev, update) : update);
+  scheduleFlush();
 }
 
 // ========================================
@@ -210,6 +665,18 @@ async function telegramCall(method, payload) {
   }
 }
 
+// مثل telegramCall ولی پاسخ خطای تلگرام (error_code، parameters.retry_after) را برمی‌گرداند
+// و به ادمین پیام نمی‌دهد؛ برای ارسال انبوه
+async function telegramRequest(method, payload) {
+  try {
+    const res = await axios.post(`${TELEGRAM_API}/${method}`, payload, { timeout: 15000 });
+    return res.data;
+  } catch (err) {
+    if (err?.response?.data) return err.response.data;
+    return { ok: false, error_code: 0, description: err.message };
+  }
+}
+
 async function sendMessage(chatId, text, reply_markup) {
   const payload = {
     chat_id: String(chatId),
@@ -266,6 +733,8 @@ function mainMenuKeyboard() {
     inline_keyboard: [
       [{ text: "📖 آموزش‌های اولیه", callback_data: "edu_initial" }],
       [{ text: "❓ سوالات متداول", callback_data: "faq_menu" }],
+      [{ text: "💼 درخواست سرمایه‌گذاری", callback_data: "invest_start" }],
+      [{ text: "🏧 درخواست برداشت", callback_data: "withdraw_start" }],
       [{ text: "🛟 پشتیبانی", callback_data: "support_menu" }],
       [{ text: "ℹ️ درباره ما", callback_data: "about_menu" }]
     ]
@@ -276,6 +745,7 @@ function supportMenuKeyboard() {
   return {
     inline_keyboard: [
       [{ text: "🎫 ارسال تیکت", callback_data: "support_ticket" }],
+      [{ text: "🗂 تیکت‌های من", callback_data: "my_tickets_0" }],
       [{ text: "📧 پشتیبانی ایمیلی", callback_data: "support_email" }],
       [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "back_to_main" }]
     ]
@@ -323,23 +793,40 @@ function aboutMenuKeyboard() {
   };
 }
 
-function adminMenuKeyboard() {
+// فقط دکمه‌هایی که نقش مدیر به آن‌ها دسترسی دارد نمایش داده می‌شوند
+function adminMenuKeyboard(role) {
+  const rows = [
+    [
+      { text: "📊 آمار", callback_data: "admin_stats" },
+      { text: "🎫 تیکت‌ها", callback_data: "admin_tickets" }
+    ],
+    [
+      { text: "📢 پیام همگانی", callback_data: "admin_broadcast" },
+      { text: "🎯 پیام فیلتر شده", callback_data: "admin_filtered_broadcast" }
+    ],
+    [
+      { text: "📋 مدیریت اطلاعیه", callback_data: "admin_announcements" },
+      { text: "💾 بکاپ دیتابیس", callback_data: "admin_backup" }
+    ],
+    [
+      { text: "🗂 پیام‌های ارسال‌شده", callback_data: "admin_bc_list_0" },
+      { text: "🏧 درخواست‌های برداشت", callback_data: "admin_withdrawals" }
+    ],
+    [
+      { text: "⏰ ارسال‌های زمان‌بندی‌شده", callback_data: "admin_sched_list" },
+      { text: "💬 پاسخ‌های آماده", callback_data: "admin_canned" }
+    ],
+    [
+      { text: "👥 مدیران", callback_data: "admin_admins" },
+      { text: "🧾 گزارش فعالیت‌ها", callback_data: "admin_audit_0" }
+    ],
+    [{ text: "❌ بستن پنل", callback_data: "admin_close" }]
+  ];
+
   return {
-    inline_keyboard: [
-      [
-        { text: "📊 آمار", callback_data: "admin_stats" },
-        { text: "🎫 تیکت‌های باز", callback_data: "admin_tickets" }
-      ],
-      [
-        { text: "📢 پیام همگانی", callback_data: "admin_broadcast" },
-        { text: "🎯 پیام فیلتر شده", callback_data: "admin_filtered_broadcast" }
-      ],
-      [
-        { text: "📋 مدیریت اطلاعیه", callback_data: "admin_announcements" },
-        { text: "💾 بکاپ دیتابیس", callback_data: "admin_backup" }
-      ],
-      [{ text: "❌ بستن پنل", callback_data: "admin_close" }]
-    ]
+    inline_keyboard: rows
+      .map(row => row.filter(b => roleCan(role, permissionForCallback(b.callback_data))))
+      .filter(row => row.length)
   };
 }
 
@@ -364,6 +851,35 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+function escapeHtml(str) {
+  return String(str || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// تبدیل ارقام فارسی/عربی به انگلیسی
+function normalizeDigits(str) {
+  return String(str || "")
+    .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0))
+    .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660));
+}
+
+function parseAmount(text) {
+  const cleaned = normalizeDigits(text).replace(/[,٬\s]/g, "").replace("٫", ".");
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return null;
+  const amount = Number(cleaned);
+  return amount > 0 && isFinite(amount) ? amount : null;
+}
+
+function parseJsonSafe(str, fallback) {
+  try {
+    return str ? JSON.parse(str) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
 // Log user action (برای آمار رفتاری - بدون اطلاعات حساس)
 async function logUserAction(userId, action) {
   try {
@@ -374,17 +890,35 @@ async function logUserAction(userId, action) {
   }
 }
 
+// ========================================
+// BOT SETTINGS (key/value)
+// ========================================
+
+async function getSetting(key) {
+  const found = await findRowByFirstCol("Settings", key);
+  return found ? found.row[1] || "" : "";
+}
+
+async function setSetting(key, value) {
+  const found = await findRowByFirstCol("Settings", key);
+
+  if (found) {
+    await updateRow("Settings", found.rowNumber, [key, value, getNow()]);
+  } else {
+    await appendRow("Settings", [key, value, getNow()]);
+  }
+}
+
 // ========================================
 // USER MANAGEMENT
 // ========================================
 
 async function getUserById(userId) {
-  const data = await readSheet("Users");
-  const idx = findIndexByFirstCol(data, userId);
+  const found = await findRowByFirstCol("Users", userId);
   
-  if (idx === -1) return null;
+  if (!found) return null;
   
-  const row = data[idx];
+  const row = found.row;
   return { 
     userId: row[0], 
     username: row[1], 
@@ -394,17 +928,58 @@ async function getUserById(userId) {
     emailConfirmed: row[5] || "No",
     joinedAt: row[6] || "",
     lastActive: row[7] || "",
-    rowIndex: idx + 1 
+    blocked: row[8] === "Yes",
+    rowIndex: found.rowNumber 
   };
 }
 
+// تعداد آیتم‌های هر لیست (تیکت، درخواست، فعالیت) در نمای /user
+const USER_VIEW_LIST_SIZE = 5;
+
+// جستجوی کاربر برای /user: آیدی عددی، @username یا ایمیل
+async function findUsers(query) {
+  const q = normalizeDigits(query).trim();
+  if (!q) return [];
+
+  if (/^\d+$/.test(q)) {
+    const user = await getUserById(q);
+    return user ? [user] : [];
+  }
+
+  const rows = (await readSheet("Users")).slice(1);
+  const matches = q.startsWith("@")
+    ? rows.filter(r => String(r[1] || "").toLowerCase() === q.slice(1).toLowerCase())
+    : rows.filter(r => String(r[4] || "").toLowerCase() === q.toLowerCase());
+
+  const users = [];
+  for (const r of matches.slice(0, 10)) users.push(await getUserById(r[0]));
+  return users.filter(Boolean);
+}
+
+// ردیف Users مسدود شده (ستون Blocked)
+function isBlockedUserRow(row) {
+  return row[8] === "Yes";
+}
+
+async function getBlockedUserIds() {
+  return new Set((await readSheet("Users")).slice(1).filter(isBlockedUserRow).map(r => String(r[0])));
+}
+
+async function setUserBlocked(userId, blocked) {
+  const found = await findRowByFirstCol("Users", userId);
+  if (!found) return false;
+
+  found.row[8] = blocked ? "Yes" : "No";
+  await updateRow("Users", found.rowNumber, found.row);
+  return true;
+}
+
 async function registerOrUpdateUser(userId, firstName, lastName, username, email, emailConfirmed) {
-  const data = await readSheet("Users");
-  const idx = findIndexByFirstCol(data, userId);
+  const found = await findRowByFirstCol("Users", userId);
   const now = getNow();
   
-  if (idx > -1) {
-    const row = data[idx];
+  if (found) {
+    const row = found.row;
     row[1] = username || row[1] || "";
     row[2] = firstName || row[2] || "";
     row[3] = lastName || row[3] || "";
@@ -416,7 +991,7 @@ async function registerOrUpdateUser(userId, firstName, lastName, username, email
     
     row[7] = now; // LastActive
     
-    await updateRow("Users", idx + 1, row);
+    await updateRow("Users", found.rowNumber, row);
   } else {
     await appendRow("Users", [
       userId, 
@@ -432,14 +1007,13 @@ async function registerOrUpdateUser(userId, firstName, lastName, username, email
 }
 
 async function updateUserEmail(userId, email, confirmed = "Yes") {
-  const data = await readSheet("Users");
-  const idx = findIndexByFirstCol(data, userId);
+  const found = await findRowByFirstCol("Users", userId);
   
-  if (idx > -1) {
-    const row = data[idx];
+  if (found) {
+    const row = found.row;
     row[4] = email;
     row[5] = confirmed;
-    await updateRow("Users", idx + 1, row);
+    await updateRow("Users", found.rowNumber, row);
   }
 }
 
@@ -448,17 +1022,9 @@ async function updateUserEmail(userId, email, confirmed = "Yes") {
 // ========================================
 
 async function setUserStateFields(userId, fields) {
-  const data = await readSheet("State");
-  let idx = -1;
+  const found = await findRowByFirstCol("State", userId);
   
-  for (let i = 1; i < data.length; i++) {
-    if (String(data[i][0]) === String(userId)) { 
-      idx = i; 
-      break; 
-    }
-  }
-  
-  if (idx === -1) {
+  if (!found) {
     const row = [
       userId,
       fields.step || "",
@@ -468,7 +1034,7 @@ async function setUserStateFields(userId, fields) {
     ];
     await appendRow("State", row);
   } else {
-    const row = data[idx];
+    const row = found.row;
     while (row.length < 5) row.push("");
     
     if (fields.step !== undefined) row[1] = fields.step;
@@ -476,74 +1042,242 @@ async function setUserStateFields(userId, fields) {
     if (fields.lastMenu !== undefined) row[3] = fields.lastMenu;
     if (fields.tempEmail !== undefined) row[4] = fields.tempEmail;
     
-    await updateRow("State", idx + 1, row);
+    await updateRow("State", found.rowNumber, row);
   }
 }
 
 async function getUserState(userId) {
-  const data = await readSheet("State");
+  const found = await findRowByFirstCol("State", userId);
   
-  for (let i = 1; i < data.length; i++) {
-    if (String(data[i][0]) === String(userId)) {
-      return {
-        step: data[i][1] || "",
-        tempData: data[i][2] || "",
-        lastMenu: data[i][3] || "",
-        tempEmail: data[i][4] || "",
-        rowIndex: i + 1
-      };
-    }
+  if (found) {
+    const row = found.row;
+    return {
+      step: row[1] || "",
+      tempData: row[2] || "",
+      lastMenu: row[3] || "",
+      tempEmail: row[4] || "",
+      rowIndex: found.rowNumber
+    };
   }
   
   return { step: "", tempData: "", lastMenu: "", tempEmail: "" };
 }
 
 async function clearUserState(userId) {
-  const data = await readSheet("State");
+  const found = await findRowByFirstCol("State", userId);
   
-  for (let i = 1; i < data.length; i++) {
-    if (String(data[i][0]) === String(userId)) {
-      await updateRow("State", i + 1, [userId, "", "", "", ""]);
-      return;
-    }
+  if (found) {
+    await updateRow("State", found.rowNumber, [userId, "", "", "", ""]);
   }
 }
 
 // ========================================
-// MENU MANAGEMENT
+// ADMIN ROLES & PERMISSIONS
 // ========================================
+// ADMIN_CHAT_ID همیشه مالک است و قابل حذف نیست؛ بقیه مدیران در شیت Admins ثبت می‌شوند.
+// هر callback/مرحله ادمین به یک permission نگاشت می‌شود و نقش باید آن را داشته باشد.
+
+const ADMIN_ROLES = {
+  owner: { label: "👑 مالک", permissions: ["*"] },
+  support: { label: "🎧 پشتیبانی", permissions: ["stats", "tickets"] },
+  content: { label: "📝 محتوا", permissions: ["stats", "broadcast", "announcements"] },
+  finance: { label: "💰 مالی", permissions: ["stats", "invest", "withdraw"] }
+};
+
+// ترتیب مهم است: اولین پیشوند منطبق استفاده می‌شود. callback بدون permission (مثل admin_close) برای همه مدیران آزاد است.
+const ADMIN_CALLBACK_PERMISSIONS = [
+  ["admin_stats", "stats"],
+  ["admin_tickets", "tickets"],
+  ["admin_reply_ticket_", "tickets"],
+  ["admin_cancel_reply", "tickets"],
+  ["admin_tkt_", "tickets"],
+  ["admin_canned", "tickets"],
+  ["admin_usr_", "users"],
+  ["admin_broadcast", "broadcast"],
+  ["admin_filtered_broadcast", "broadcast"],
+  ["admin_bc_", "broadcast"],
+  ["admin_seg_", "broadcast"],
+  ["admin_sched_", "broadcast"],
+  ["admin_announcements", "announcements"],
+  ["admin_backup", "backup"],
+  ["admin_invest_", "invest"],
+  ["admin_withdrawals", "withdraw"],
+  ["admin_wd_", "withdraw"],
+  ["admin_admins", "admins"],
+  ["admin_audit_", "audit"]
+];
+
+function permissionForCallback(cd) {
+  const match = ADMIN_CALLBACK_PERMISSIONS.find(([prefix]) => cd.startsWith(prefix));
+  return match ? match[1] : null;
+}
+
+function roleCan(role, permission) {
+  const def = role && ADMIN_ROLES[role];
+  if (!def) return false;
+  if (!permission) return true;
+  return def.permissions.includes("*") || def.permissions.includes(permission);
+}
+
+function isActiveAdminRow(row) {
+  return row[0] && ADMIN_ROLES[row[1]] && String(row[5] || "Yes").toLowerCase() === "yes";
+}
+
+async function getAdminRole(userId) {
+  if (ADMIN_CHAT_ID && String(userId) === String(ADMIN_CHAT_ID)) return "owner";
 
-async function deleteMenuIfExists(userId, chatId, exceptMessageId = null) {
   try {
-    const s = await getUserState(userId);
-    const last = s.lastMenu;
-    
-    if (last && String(last) !== String(exceptMessageId)) {
-      await deleteMessage(chatId, Number(last));
-      await setUserStateFields(userId, { lastMenu: "" });
-    }
+    const found = await findRowByFirstCol("Admins", userId);
+    return found && isActiveAdminRow(found.row) ? found.row[1] : null;
   } catch (e) {
-    console.error("deleteMenuIfExists error:", e.message);
+    console.error("getAdminRole error:", e.message);
+    return null;
   }
 }
 
-async function recordMenuMessage(userId, chatId, messageId) {
-  await deleteMenuIfExists(userId, chatId, messageId);
-  await setUserStateFields(userId, { lastMenu: String(messageId) });
+async function getAdmins() {
+  const rows = await readSheet("Admins");
+  const admins = rows.slice(1)
+    .filter(isActiveAdminRow)
+    .filter(r => String(r[0]) !== String(ADMIN_CHAT_ID))
+    .map(r => ({ userId: String(r[0]), role: r[1], name: r[2] || "", addedAt: r[4] || "" }));
+
+  if (ADMIN_CHAT_ID) admins.unshift({ userId: String(ADMIN_CHAT_ID), role: "owner", name: "ADMIN_CHAT_ID", addedAt: "" });
+  return admins;
 }
 
-// ========================================
-// EMAIL & RATE LIMITING
-// ========================================
+// اعلان به همه مدیرانی که به این بخش دسترسی دارند
+async function notifyAdmins(permission, text, replyMarkup) {
+  const admins = (await getAdmins()).filter(a => roleCan(a.role, permission));
+  for (const admin of admins) {
+    await sendMessage(admin.userId, text, replyMarkup);
+  }
+}
 
-async function canSendEmailToUser(userId, email) {
-  const data = await readSheet("EmailLog");
-  const idx = findIndexByFirstCol(data, userId);
-  const now = new Date();
-  const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+async function setAdmin(userId, role, name, addedBy) {
+  const row = [userId, role, name || "", addedBy, getNow(), "Yes"];
+  const found = await findRowByFirstCol("Admins", userId);
+
+  if (found) await updateRow("Admins", found.rowNumber, row);
+  else await appendRow("Admins", row);
+}
+
+async function removeAdmin(userId) {
+  const found = await findRowByFirstCol("Admins", userId);
+  if (!found || !isActiveAdminRow(found.row)) return false;
+
+  found.row[5] = "No";
+  await updateRow("Admins", found.rowNumber, found.row);
+  return true;
+}
+
+// ========================================
+// AUDIT LOG
+// ========================================
+// هر عملیات مدیریتی (پاسخ تیکت، ارسال همگانی، اطلاعیه، بکاپ، تایید/رد و ...) یک ردیف
+// در شیت AuditLog می‌گیرد. actor برای عملیات بیرون از ربات "sync" یا "http" است.
+
+const AUDIT_ACTION_LABELS = {
+  ticket_reply: "💬 پاسخ تیکت",
+  ticket_reply_sync: "💬 پاسخ تیکت (شیت)",
+  ticket_status: "🎫 تغییر وضعیت تیکت",
+  ticket_auto_close: "🔒 بستن خودکار تیکت",
+  ticket_sla_update: "⏱ تغییر SLA تیکت",
+  canned_create: "💬 افزودن پاسخ آماده",
+  canned_update: "💬 ویرایش پاسخ آماده",
+  canned_delete: "💬 حذف پاسخ آماده",
+  user_message: "✉️ پیام مستقیم به کاربر",
+  user_email_reset: "📧 ریست تایید ایمیل",
+  user_state_clear: "🧹 پاک کردن مرحله کاربر",
+  user_block: "🚫 مسدود کردن کاربر",
+  user_unblock: "✅ رفع مسدودیت کاربر",
+  broadcast_all: "📢 پیام همگانی",
+  broadcast_filtered: "🎯 پیام فیلتر شده",
+  broadcast_recall: "🗑 حذف پیام همگانی",
+  broadcast_edit: "✏️ ویرایش پیام همگانی",
+  schedule_create: "⏰ زمان‌بندی ارسال",
+  schedule_cancel: "🚫 لغو زمان‌بندی",
+  announcement_create: "📋 ثبت اطلاعیه",
+  backup_summary: "💾 بکاپ (خلاصه)",
+  backup_download: "💾 بکاپ (دانلود)",
+  invest_approved: "✅ تایید سرمایه‌گذاری",
+  invest_rejected: "❌ رد سرمایه‌گذاری",
+  withdraw_approved: "✅ تایید برداشت",
+  withdraw_rejected: "❌ رد برداشت",
+  withdraw_paid: "💸 پرداخت برداشت",
+  admin_set: "👥 ثبت مدیر",
+  admin_remove: "👥 حذف مدیر"
+};
+
+const AUDIT_SUMMARY_MAX = 200;
+const AUDIT_PAGE_SIZE = 10;
+
+// ثبت گزارش هیچ‌وقت نباید خود عملیات را خراب کند
+async function logAdminAction(actorId, action, target, summary) {
+  try {
+    const role = /^\d+$/.test(String(actorId)) ? (await getAdminRole(actorId)) || "" : "";
+    let text = String(summary || "").replace(/\s+/g, " ").trim();
+    if (text.length > AUDIT_SUMMARY_MAX) text = text.slice(0, AUDIT_SUMMARY_MAX - 1) + "…";
+
+    await appendRow("AuditLog", [getNow(), actorId, role, action, target || "", text]);
+  } catch (e) {
+    console.error("logAdminAction error:", e.message);
+  }
+}
+
+// جدیدترین‌ها اول
+async function getAuditEntries() {
+  const rows = await readSheet("AuditLog");
+  return rows.slice(1)
+    .filter(r => r[0])
+    .map(r => ({
+      timestamp: r[0], actorId: r[1] || "", actorRole: r[2] || "",
+      action: r[3] || "", target: r[4] || "", summary: r[5] || ""
+    }))
+    .reverse();
+}
+
+// مقادیری که با = + - @ شروع می‌شوند در اکسل/شیت فرمول حساب می‌شوند (CSV injection)
+function csvCell(value) {
+  let s = String(value === null || value === undefined ? "" : value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// ========================================
+// MENU MANAGEMENT
+// ========================================
+
+async function deleteMenuIfExists(userId, chatId, exceptMessageId = null) {
+  try {
+    const s = await getUserState(userId);
+    const last = s.lastMenu;
+    
+    if (last && String(last) !== String(exceptMessageId)) {
+      await deleteMessage(chatId, Number(last));
+      await setUserStateFields(userId, { lastMenu: "" });
+    }
+  } catch (e) {
+    console.error("deleteMenuIfExists error:", e.message);
+  }
+}
+
+async function recordMenuMessage(userId, chatId, messageId) {
+  await deleteMenuIfExists(userId, chatId, messageId);
+  await setUserStateFields(userId, { lastMenu: String(messageId) });
+}
+
+// ========================================
+// EMAIL & RATE LIMITING
+// ========================================
+
+async function canSendEmailToUser(userId, email) {
+  const found = await findRowByFirstCol("EmailLog", userId);
+  const now = new Date();
+  const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
   
-  if (idx > -1) {
-    const row = data[idx];
+  if (found) {
+    const row = found.row;
     let count = Number(row[2] || 0);
     let lastSent = row[3] ? new Date(row[3]) : new Date(0);
     
@@ -551,11 +1285,11 @@ async function canSendEmailToUser(userId, email) {
       if (count >= 3) return false;
       row[2] = count + 1;
       row[3] = now.toISOString();
-      await updateRow("EmailLog", idx + 1, row);
+      await updateRow("EmailLog", found.rowNumber, row);
     } else {
       row[2] = 1;
       row[3] = now.toISOString();
-      await updateRow("EmailLog", idx + 1, row);
+      await updateRow("EmailLog", found.rowNumber, row);
     }
   } else {
     await appendRow("EmailLog", [userId, email || "", 1, now.toISOString()]);
@@ -564,27 +1298,14 @@ async function canSendEmailToUser(userId, email) {
   return true;
 }
 
-async function sendEmailSafe(to, subject, htmlBody) {
-  console.log(`📧 sendEmailSafe -> to:${to}, subject:${subject}`);
-  
-  try {
-    await sendMessage(ADMIN_CHAT_ID, `📧 Email notification:\nTo: ${to}\nSubject: ${subject}`);
-    return true;
-  } catch (e) {
-    console.error("sendEmailSafe failed:", e.message);
-    return false;
-  }
-}
-
 // Rate limiting for tickets (max 3 per 24h)
 async function canSendTicket(userId) {
-  const data = await readSheet("TicketRateLimits");
-  const idx = findIndexByFirstCol(data, userId);
+  const found = await findRowByFirstCol("TicketRateLimits", userId);
   const now = new Date();
   const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
   
-  if (idx > -1) {
-    const row = data[idx];
+  if (found) {
+    const row = found.row;
     let count = Number(row[1] || 0);
     let lastTicket = row[2] ? new Date(row[2]) : new Date(0);
     
@@ -592,11 +1313,11 @@ async function canSendTicket(userId) {
       if (count >= 3) return false;
       row[1] = count + 1;
       row[2] = now.toISOString();
-      await updateRow("TicketRateLimits", idx + 1, row);
+      await updateRow("TicketRateLimits", found.rowNumber, row);
     } else {
       row[1] = 1;
       row[2] = now.toISOString();
-      await updateRow("TicketRateLimits", idx + 1, row);
+      await updateRow("TicketRateLimits", found.rowNumber, row);
     }
   } else {
     await appendRow("TicketRateLimits", [userId, 1, now.toISOString()]);
@@ -605,6 +1326,19 @@ async function canSendTicket(userId) {
   return true;
 }
 
+// عنوان پیش‌فرض درس‌ها (کلید = callback_data دکمه در منوی آموزش)
+const LESSON_TITLES = {
+  "lesson_wallet_install":   "نحوه نصب ولت نرم‌افزاری",
+  "lesson_wallet_transfer":  "دریافت و انتقال ارز از ولت شخصی",
+  "lesson_exchange_buy":     "نحوه خرید ارز از صرافی دیجیتال",
+  "lesson_exchange_sell":    "نحوه فروش ارز به صرافی دیجیتال",
+  "lesson_fund_register":    "ثبت‌نام و احراز هویت در صندوق",
+  "lesson_fund_contract":    "نحوه بستن قرارداد جدید در صندوق",
+  "lesson_withdraw_profit":  "نحوه برداشت سود و کمیسیون",
+  "lesson_2fa":              "فعال‌سازی کد دو عاملی گوگل",
+  "lesson_position_id":      "نحوه استفاده از پوزیشن آیدی"
+};
+
 async function getLessonByKey(key) {
   try {
     const data = await readSheet("Lessons");
@@ -671,991 +1405,5339 @@ async function sendLesson(chatId, messageId, lessonKey, lessonTitle) {
 }
 
 // ========================================
-// MAIN UPDATE HANDLER
+// EMAIL DELIVERY (SMTP + OUTBOX)
 // ========================================
+// sendEmailSafe فقط ایمیل را در شیت EmailOutbox ثبت می‌کند؛ ارسال واقعی و تلاش مجدد
+// (با فاصله‌ی تصاعدی) در processEmailOutbox انجام می‌شود تا با ری‌استارت هم از دست نرود.
+
+const EMAIL_MAX_ATTEMPTS = 5;
+const EMAIL_RETRY_BASE_MS = 60 * 1000;
+const EMAIL_OUTBOX_INTERVAL_MS = Number(process.env.EMAIL_OUTBOX_INTERVAL_MS || 60 * 1000);
+
+const EMAIL_TEMPLATES = {
+  welcome: d => ({
+    subject: "خوش آمدید به RBI24",
+    heading: `سلام ${d.firstName || ""} عزیز،`,
+    lines: [
+      "به سیستم آموزشی RBI24 خوش آمدید!",
+      "از طریق ربات تلگرام به آموزش‌ها، پشتیبانی و درخواست‌های خود دسترسی دارید."
+    ]
+  }),
+  ticket_received: d => ({
+    subject: "تیکت شما دریافت شد - RBI24",
+    heading: `سلام ${d.firstName || ""} عزیز،`,
+    lines: [
+      "تیکت شما دریافت شد. به زودی پاسخ خواهید گرفت.",
+      `شماره تیکت: ${d.ticketId}`
+    ]
+  }),
+  ticket_answered: d => ({
+    subject: `پاسخ تیکت ${d.ticketId} - RBI24`,
+    heading: "پاسخ تیکت شما",
+    lines: [
+      `شماره تیکت: ${d.ticketId}`,
+      d.answer,
+      "برای پیگیری به ربات تلگرام RBI24 مراجعه کنید."
+    ]
+  }),
+  verification_code: d => ({
+    subject: `کد تایید ایمیل RBI24: ${d.code}`,
+    heading: "کد تایید ایمیل",
+    lines: [
+      `کد تایید شما: ${d.code}`,
+      `این کد تا ${d.minutes} دقیقه معتبر است.`,
+      "اگر شما این درخواست را نداده‌اید، این ایمیل را نادیده بگیرید."
+    ]
+  }),
+  request_status: d => ({
+    subject: `${d.title} - RBI24`,
+    heading: d.title,
+    lines: [
+      `شناسه: ${d.requestId}`,
+      `وضعیت: ${d.statusLabel}`,
+      d.note
+    ]
+  })
+};
 
-async function handleUpdate(update) {
-  try {
-    const message = update.message;
-    const callback = update.callback_query;
-    
-    if (!message && !callback) return;
+let mailTransport = null;
+let outboxRunning = false;
+let outboxRequested = false;
 
-    let chatId, text = "", from;
-    
-    if (message) {
-      chatId = message.chat.id;
-      text = (message.text || "").toString().trim();
-      from = message.from;
-    } else if (callback) {
-      chatId = callback.message.chat.id;
-      text = "";
-      from = callback.from;
-    }
+function getMailTransport() {
+  if (!SMTP_HOST) return null;
 
-    const firstName = from?.first_name || "";
-    const lastName = from?.last_name || "";
-    const username = from?.username || "";
-    const userId = chatId;
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+    });
+  }
+  return mailTransport;
+}
 
-    // Update user record (but don't overwrite email)
-    await registerOrUpdateUser(userId, firstName, lastName, username, null, null);
+function renderEmail(templateName, data) {
+  const t = EMAIL_TEMPLATES[templateName](data);
+  const lines = t.lines.filter(Boolean);
 
-    // ========================================
-    // CALLBACK HANDLERS
-    // ========================================
-    
-    if (callback) {
-      await answerCallbackQuery(callback.id);
-      const cd = callback.data;
+  const text = [t.heading, ...lines, "--\nRBI24"].join("\n\n");
+  const html =
+    `<!DOCTYPE html><html lang="fa" dir="rtl"><body style="font-family:Tahoma,Arial,sans-serif;direction:rtl;text-align:right;">` +
+    `<h3>${escapeHtml(t.heading)}</h3>` +
+    lines.map(l => `<p>${escapeHtml(l).replace(/\n/g, "<br>")}</p>`).join("") +
+    `<hr><p style="color:#888;font-size:12px;">RBI24</p>` +
+    `</body></html>`;
 
-      // --- ADMIN PANEL ---
-      if (String(userId) === String(ADMIN_CHAT_ID)) {
+  return { subject: t.subject, text, html };
+}
 
-        if (cd === "admin_stats") {
-          await handleAdminStats(chatId, callback.message.message_id);
-          return;
-        }
+// ورودی اصلی ارسال ایمیل (محدودیت روزانه با canSendEmailToUser قبل از صدا زدن بررسی می‌شود)
+async function sendEmailSafe(to, templateName, data) {
+  if (!to || !EMAIL_TEMPLATES[templateName]) return false;
 
-        if (cd === "admin_broadcast") {
-          await editMessageText(chatId, callback.message.message_id,
-            formatMessage("📢 پیام همگانی",
-              "متن پیامی که میخوای به <b>همه کاربران</b> ارسال بشه رو بفرست:\n\n" +
-              "⚠️ این پیام برای تمام کاربران ثبت‌نام شده ارسال خواهد شد."
-            ),
-            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
-          );
-          await setUserStateFields(userId, { step: "awaiting_broadcast_message" });
-          return;
-        }
+  try {
+    await appendRow("EmailOutbox", [
+      `EM_${Date.now()}_${uuidv4().slice(0, 8)}`,
+      to,
+      templateName,
+      JSON.stringify(data || {}),
+      "Pending",
+      0,
+      "",
+      "",
+      getNow(),
+      ""
+    ]);
+    console.log(`📧 queued ${templateName} -> ${to}`);
+    processEmailOutbox();
+    return true;
+  } catch (e) {
+    console.error("sendEmailSafe failed:", e.message);
+    return false;
+  }
+}
 
-        if (cd === "admin_filtered_broadcast") {
-          await editMessageText(chatId, callback.message.message_id,
-            formatMessage("🎯 پیام فیلتر شده",
-              "لطفاً <b>ID کاربران</b> مورد نظر را ارسال کنید.\n\n" +
-              "فرمت: هر ID در یک خط جداگانه:\n\n" +
-              "<code>123456789\n987654321\n111222333</code>\n\n" +
-              "یا با کاما جدا کنید:\n" +
-              "<code>123456789, 987654321, 111222333</code>"
-            ),
-            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
-          );
-          await setUserStateFields(userId, { step: "awaiting_filtered_ids" });
-          return;
-        }
+async function deliverOutboxEmail(row, rowNumber) {
+  const attempts = Number(row[5] || 0) + 1;
+  row[5] = attempts;
 
-        if (cd === "admin_tickets") {
-          await handleAdminViewTickets(chatId, callback.message.message_id);
-          return;
-        }
+  try {
+    const mail = renderEmail(row[2], parseJsonSafe(row[3], {}));
+    await getMailTransport().sendMail({
+      from: MAIL_FROM,
+      to: row[1],
+      subject: mail.subject,
+      text: mail.text,
+      html: mail.html
+    });
+    row[4] = "Sent";
+    row[7] = "";
+    row[9] = getNow();
+  } catch (e) {
+    row[7] = String(e.message || e).substring(0, 200);
+    if (attempts >= EMAIL_MAX_ATTEMPTS) {
+      row[4] = "Failed";
+    } else {
+      row[6] = new Date(Date.now() + EMAIL_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+    }
+    console.error(`📧 send ${row[0]} failed (attempt ${attempts}):`, row[7]);
+  }
 
-        if (cd === "admin_backup") {
-          await handleAdminBackup(chatId);
-          return;
-        }
+  if (row[4] !== "Pending") dropOutboxSecrets(row);
+  await updateRow("EmailOutbox", rowNumber, row);
+}
 
-        if (cd === "admin_announcements") {
-          await editMessageText(chatId, callback.message.message_id,
-            formatMessage("📋 مدیریت اطلاعیه",
-              "برای افزودن اطلاعیه جدید، متن زیر را ارسال کنید:\n\n" +
-              "<code>/announce عنوان | متن اطلاعیه</code>\n\n" +
-              "مثال:\n" +
-              "<code>/announce آپدیت سیستم | سیستم فردا ساعت ۲۲ آپدیت می‌شود</code>"
-            ),
-            { inline_keyboard: [[{ text: "❌ بستن", callback_data: "admin_close" }]] }
-          );
-          return;
-        }
+// کد تایید فقط تا وقتی ایمیل در صف است نگه داشته می‌شود (بعد از ارسال یا شکست نهایی پاک می‌شود)
+function dropOutboxSecrets(row) {
+  if (row[2] === "verification_code") row[3] = "{}";
+}
 
-        if (cd === "admin_close") {
-          await deleteMessage(chatId, callback.message.message_id);
-          await clearUserState(userId);
-          return;
-        }
+async function processEmailOutbox() {
+  if (!getMailTransport()) return;
+  if (outboxRunning) {
+    outboxRequested = true;
+    return;
+  }
+  outboxRunning = true;
 
-        // پاسخ تیکت با دکمه
-        if (cd && cd.startsWith("admin_reply_ticket_")) {
-          const ticketId = cd.replace("admin_reply_ticket_", "");
-          await setUserStateFields(userId, { step: "awaiting_ticket_reply", tempData: ticketId });
-          await editMessageText(chatId, callback.message.message_id,
-            formatMessage("✍️ پاسخ به تیکت",
-              `شماره تیکت: <code>${ticketId}</code>\n\nمتن پاسخ خود را تایپ کنید:`
-            ),
-            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_cancel_reply" }]] }
-          );
-          return;
+  try {
+    do {
+      outboxRequested = false;
+      const rows = await readSheet("EmailOutbox");
+      const now = Date.now();
+
+      const blockedEmails = new Set((await readSheet("Users")).slice(1)
+        .filter(r => isBlockedUserRow(r) && r[4]).map(r => String(r[4]).toLowerCase()));
+
+      for (let i = 1; i < rows.length; i++) {
+        if (rows[i][4] !== "Pending") continue;
+        if (rows[i][6] && new Date(rows[i][6]).getTime() > now) continue;
+
+        // ایمیل کاربر مسدود شده ارسال نمی‌شود
+        if (blockedEmails.has(String(rows[i][1]).toLowerCase())) {
+          rows[i][4] = "Skipped";
+          rows[i][7] = "blocked user";
+          dropOutboxSecrets(rows[i]);
+          await updateRow("EmailOutbox", i + 1, rows[i]);
+          continue;
         }
 
-        if (cd === "admin_cancel_reply") {
-          await clearUserState(userId);
-          await editMessageText(chatId, callback.message.message_id,
-            formatMessage("پنل ادمین", "عملیات لغو شد."),
-            adminMenuKeyboard()
-          );
-          return;
-        }
+        await deliverOutboxEmail(rows[i], i + 1);
       }
+    } while (outboxRequested);
+  } catch (e) {
+    console.error("processEmailOutbox error:", e.message);
+  } finally {
+    outboxRunning = false;
+  }
+}
 
-      // --- BACK TO MAIN ---
-      if (cd === "back_to_main") {
-        await deleteMenuIfExists(userId, chatId, callback.message.message_id);
-        const mid = await sendMessage(chatId,
-          formatMessage("منوی اصلی RBI24", `سلام ${firstName} عزیز 👋\n\nلطفاً یکی از گزینه‌های زیر را انتخاب کنید:`),
-          mainMenuKeyboard()
-        );
-        if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
-        await logUserAction(userId, "back_to_main");
-        return;
-      }
+function startEmailOutbox() {
+  if (!SMTP_HOST) {
+    console.warn("⚠️ SMTP_HOST is not set; emails stay queued in EmailOutbox and addresses are accepted without verification codes");
+    return;
+  }
+  processEmailOutbox();
+  setInterval(processEmailOutbox, EMAIL_OUTBOX_INTERVAL_MS);
+}
 
-      if (cd === "back_to_main_send") {
-        await deleteMenuIfExists(userId, chatId);
-        const mid = await sendMessage(chatId,
-          formatMessage("منوی اصلی RBI24", `سلام ${firstName} عزیز 👋\n\nلطفاً یکی از گزینه‌های زیر را انتخاب کنید:`),
-          mainMenuKeyboard()
-        );
-        if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
-        return;
-      }
+// ========================================
+// EMAIL VERIFICATION (ONE-TIME CODES)
+// ========================================
+// برای هر کاربر فقط آخرین کد (به صورت هش) در EmailVerifications نگه داشته می‌شود.
+// هر ارسال کد از سقف روزانه EmailLog (canSendEmailToUser) کم می‌کند.
 
-      // --- آموزش‌های اولیه ---
-      if (cd === "edu_initial") {
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("📖 آموزش‌های اولیه",
-            "یکی از موضوعات آموزشی زیر را انتخاب کنید:"
-          ),
-          eduInitialKeyboard()
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        await logUserAction(userId, "opened_edu_initial");
-        return;
-      }
+const EMAIL_CODE_TTL_MS = 10 * 60 * 1000;
+const EMAIL_CODE_MAX_ATTEMPTS = 5;
+const EMAIL_CODE_RESEND_COOLDOWN_MS = 60 * 1000;
 
-      // --- درس‌های آموزشی ---
-      const lessonMap = {
-        "lesson_wallet_install":   "نحوه نصب ولت نرم‌افزاری",
-        "lesson_wallet_transfer":  "دریافت و انتقال ارز از ولت شخصی",
-        "lesson_exchange_buy":     "نحوه خرید ارز از صرافی دیجیتال",
-        "lesson_exchange_sell":    "نحوه فروش ارز به صرافی دیجیتال",
-        "lesson_fund_register":    "ثبت‌نام و احراز هویت در صندوق",
-        "lesson_fund_contract":    "نحوه بستن قرارداد جدید در صندوق",
-        "lesson_withdraw_profit":  "نحوه برداشت سود و کمیسیون",
-        "lesson_2fa":              "فعال‌سازی کد دو عاملی گوگل",
-        "lesson_position_id":      "نحوه استفاده از پوزیشن آیدی"
-      };
-
-      if (lessonMap[cd]) {
-        await sendLesson(chatId, callback.message.message_id, cd, lessonMap[cd]);
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        await logUserAction(userId, `viewed_${cd}`);
-        return;
-      }
+function hashEmailCode(userId, code) {
+  return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+}
 
-      // --- FAQ ---
-      if (cd === "faq_menu") {
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("❓ سوالات متداول", "یکی از دسته‌بندی‌های زیر را انتخاب کنید:"),
-          faqMenuKeyboard()
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        await logUserAction(userId, "opened_faq");
-        return;
-      }
+// { ok: true } | { error: "cooldown", waitSec } | { error: "limit" }
+async function sendEmailVerificationCode(userId, email) {
+  const found = await findRowByFirstCol("EmailVerifications", userId);
+  const now = Date.now();
 
-      if (cd === "faq_about_fund") {
-        const content =
-          "🏦 <b>صندوق سرمایه‌گذاری RBI24 چیست؟</b>\n" +
-          "یک صندوق آموزشی-سازمانی است که هدف آن استانداردسازی آموزش و رشد مرحله‌به‌مرحله اعضا می‌باشد.\n\n" +
-          "📌 <b>چه کسانی می‌توانند عضو شوند؟</b>\n" +
-          "هر فردی که قوانین و ساختار سازمانی را بپذیرد.\n\n" +
-          "📌 <b>آیا نیاز به سرمایه اولیه است؟</b>\n" +
-          "اطلاعات کامل در کانال‌های رسمی موجود است.";
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("درباره صندوق", content),
-          { inline_keyboard: [[{ text: "↩️ بازگشت به FAQ", callback_data: "faq_menu" }]] }
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        return;
-      }
+  if (found && String(found.row[1]).toLowerCase() === email.toLowerCase()) {
+    const elapsed = now - new Date(found.row[5] || 0).getTime();
+    if (elapsed < EMAIL_CODE_RESEND_COOLDOWN_MS) {
+      return { error: "cooldown", waitSec: Math.ceil((EMAIL_CODE_RESEND_COOLDOWN_MS - elapsed) / 1000) };
+    }
+  }
+
+  if (!(await canSendEmailToUser(userId, email))) return { error: "limit" };
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const row = [
+    userId,
+    email,
+    hashEmailCode(userId, code),
+    new Date(now + EMAIL_CODE_TTL_MS).toISOString(),
+    0,
+    new Date(now).toISOString()
+  ];
+
+  if (found) await updateRow("EmailVerifications", found.rowNumber, row);
+  else await appendRow("EmailVerifications", row);
+
+  await sendEmailSafe(email, "verification_code", { code, minutes: EMAIL_CODE_TTL_MS / 60000 });
+  return { ok: true };
+}
+
+// { result: "ok" | "expired" | "locked" } | { result: "wrong", remaining }
+async function verifyEmailCode(userId, email, input) {
+  const found = await findRowByFirstCol("EmailVerifications", userId);
+
+  if (!found || !found.row[2] || String(found.row[1]).toLowerCase() !== email.toLowerCase()) {
+    return { result: "expired" };
+  }
+
+  const row = found.row;
+  const attempts = Number(row[4] || 0);
+  if (attempts >= EMAIL_CODE_MAX_ATTEMPTS) return { result: "locked" };
+  if (new Date(row[3]).getTime() < Date.now()) return { result: "expired" };
+
+  const expected = Buffer.from(row[2], 'hex');
+  const given = Buffer.from(hashEmailCode(userId, normalizeDigits(input).replace(/\s/g, "")), 'hex');
+
+  if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+    row[2] = ""; // کد یک‌بار مصرف است
+    await updateRow("EmailVerifications", found.rowNumber, row);
+    return { result: "ok" };
+  }
+
+  row[4] = attempts + 1;
+  await updateRow("EmailVerifications", found.rowNumber, row);
+
+  const remaining = EMAIL_CODE_MAX_ATTEMPTS - row[4];
+  return remaining > 0 ? { result: "wrong", remaining } : { result: "locked" };
+}
+
+function emailCodeKeyboard(withCancel) {
+  const rows = [
+    [{ text: "🔁 ارسال مجدد کد", callback_data: "email_code_resend" }],
+    [{ text: "✏️ تغییر ایمیل", callback_data: "email_code_change" }]
+  ];
+  if (withCancel) rows.push([{ text: "↩️ لغو", callback_data: "back_to_main_send" }]);
+  return { inline_keyboard: rows };
+}
+
+async function replyEmailCodeSent(chatId, email, sent, withCancel) {
+  if (sent.error === "limit") {
+    await sendMessage(chatId, formatMessage("محدودیت ارسال",
+      "⚠️ سقف ارسال ایمیل برای امروز پر شده است.\n\nلطفاً فردا دوباره تلاش کنید."
+    ), withCancel ? { inline_keyboard: [[{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]] } : undefined);
+    return;
+  }
+
+  if (sent.error === "cooldown") {
+    await sendMessage(chatId, formatMessage("کمی صبر کنید",
+      `⏳ برای ارسال مجدد کد ${sent.waitSec} ثانیه دیگر تلاش کنید.`
+    ), emailCodeKeyboard(withCancel));
+    return;
+  }
+
+  await sendMessage(chatId,
+    formatMessage("📧 کد تایید",
+      `کد ۶ رقمی به <b>${escapeHtml(email)}</b> ارسال شد.\n\n` +
+      `لطفاً کد را وارد کنید (اعتبار: ${EMAIL_CODE_TTL_MS / 60000} دقیقه).\n\n` +
+      "📂 اگر ایمیل را نمی‌بینید، پوشه Spam را هم بررسی کنید."
+    ),
+    emailCodeKeyboard(withCancel)
+  );
+}
+
+// پایان ثبت‌نام: ذخیره ایمیل، ایمیل خوش‌آمد و منوی اصلی
+async function completeEmailRegistration(chatId, userId, firstName, lastName, username, email) {
+  await registerOrUpdateUser(userId, firstName, lastName, username, email, "Yes");
+
+  if (await canSendEmailToUser(userId, email)) {
+    await sendEmailSafe(email, "welcome", { firstName });
+  }
+
+  await deleteMenuIfExists(userId, chatId);
+  const mid = await sendMessage(chatId,
+    formatMessage("ثبت‌نام موفق", `✅ ایمیل شما با موفقیت ثبت شد!\n\nحالا می‌توانید از منوها استفاده کنید.`),
+    mainMenuKeyboard()
+  );
+  if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
+  await clearUserState(userId);
+  await logUserAction(userId, "email_registered");
+}
+
+async function replyEmailCodeError(chatId, check, withCancel) {
+  const messages = {
+    wrong: `❌ کد وارد شده صحیح نیست.\n\n${check.remaining} تلاش دیگر باقی مانده است.`,
+    expired: "⌛ کد منقضی شده است.\n\nبرای دریافت کد جدید «ارسال مجدد کد» را بزنید.",
+    locked: "🔒 تعداد تلاش‌های مجاز تمام شد.\n\nبرای دریافت کد جدید «ارسال مجدد کد» را بزنید."
+  };
+  await sendMessage(chatId, formatMessage("تایید ایمیل", messages[check.result]), emailCodeKeyboard(withCancel));
+}
+
+// ========================================
+// INVEST REQUESTS
+// ========================================
+
+// مدت قرارداد (ماه)
+const INVEST_DURATIONS = ["3", "6", "12"];
+
+const REQUEST_STATUS_LABELS = {
+  Pending: "⏳ در انتظار بررسی",
+  Approved: "✅ تایید شده",
+  Rejected: "❌ رد شده",
+  Paid: "💸 پرداخت شده"
+};
+
+function isValidTxHash(txHash) {
+  return /^(0x)?[0-9a-fA-F]{64}$/.test(txHash);
+}
+
+function investDurationKeyboard() {
+  return {
+    inline_keyboard: [
+      INVEST_DURATIONS.map(d => ({ text: `${d} ماه`, callback_data: `invest_duration_${d}` })),
+      [{ text: "↩️ لغو", callback_data: "invest_cancel" }]
+    ]
+  };
+}
+
+function formatInvestSummary(req) {
+  return (
+    `📛 نام کامل: ${escapeHtml(req.fullName)}\n` +
+    `📧 ایمیل: ${escapeHtml(req.email)}\n` +
+    `💵 مبلغ: <b>${req.amount}</b> USDT\n` +
+    `⏳ مدت قرارداد: ${req.duration} ماه\n` +
+    `🔗 TxHash:\n<code>${escapeHtml(req.txHash)}</code>`
+  );
+}
+
+function investRequestToRow(req) {
+  return [
+    req.requestId,
+    req.userId,
+    req.fullName,
+    req.email,
+    req.txHash,
+    req.duration,
+    req.amount,
+    req.status,
+    req.notified,
+    req.createdAt
+  ];
+}
+
+async function createInvestRequest(userId, data) {
+  const req = {
+    requestId: `INV_${Date.now()}_${Math.floor(Math.random() * 10000)}`,
+    userId,
+    fullName: data.fullName || "",
+    email: data.email || "",
+    txHash: data.txHash || "",
+    duration: data.duration || "",
+    amount: data.amount || "",
+    status: "Pending",
+    notified: "No",
+    createdAt: getNow()
+  };
+  await appendRow("InvestRequests", investRequestToRow(req));
+  return req;
+}
+
+async function getInvestRequest(requestId) {
+  const found = await findRowByFirstCol("InvestRequests", requestId);
+
+  if (!found) return null;
+
+  const row = found.row;
+  return {
+    requestId: row[0],
+    userId: row[1],
+    fullName: row[2] || "",
+    email: row[3] || "",
+    txHash: row[4] || "",
+    duration: row[5] || "",
+    amount: row[6] || "",
+    status: row[7] || "Pending",
+    notified: row[8] || "No",
+    createdAt: row[9] || "",
+    rowIndex: found.rowNumber
+  };
+}
+
+// وضعیت را تغییر می‌دهد و Notified را مثل تیکت‌ها تا زمان اطلاع‌رسانی No می‌گذارد
+async function setInvestRequestStatus(req, status) {
+  req.status = status;
+  req.notified = "No";
+  await updateRow("InvestRequests", req.rowIndex, investRequestToRow(req));
+}
+
+async function notifyInvestRequestStatus(req) {
+  const note = req.status === "Approved"
+    ? "✅ درخواست سرمایه‌گذاری شما تایید شد."
+    : "❌ درخواست سرمایه‌گذاری شما رد شد.\n\nدر صورت نیاز از بخش پشتیبانی تیکت ارسال کنید.";
+
+  const mid = await sendMessage(req.userId,
+    formatMessage("💼 نتیجه درخواست سرمایه‌گذاری",
+      `🔖 شناسه: <code>${req.requestId}</code>\n\n${note}\n\n${formatInvestSummary(req)}`
+    ),
+    { inline_keyboard: [[{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]] }
+  );
+
+  if (mid) {
+    req.notified = "Yes";
+    await updateRow("InvestRequests", req.rowIndex, investRequestToRow(req));
+
+    if (req.email && await canSendEmailToUser(req.userId, req.email)) {
+      await sendEmailSafe(req.email, "request_status", {
+        title: "نتیجه درخواست سرمایه‌گذاری",
+        requestId: req.requestId,
+        statusLabel: REQUEST_STATUS_LABELS[req.status] || req.status,
+        note
+      });
+    }
+  }
+}
+
+async function notifyAdminNewInvestRequest(req, firstName, username) {
+  await notifyAdmins("invest",
+    `💼 <b>درخواست سرمایه‌گذاری جدید!</b>\n` +
+    `👤 کاربر: ${escapeHtml(firstName)} (@${username || "ندارد"})\n` +
+    `🆔 UserID: ${req.userId}\n` +
+    `${formatInvestSummary(req)}\n` +
+    `🔖 شناسه: ${req.requestId}`,
+    {
+      inline_keyboard: [[
+        { text: "✅ تایید", callback_data: `admin_invest_approve_${req.requestId}` },
+        { text: "❌ رد", callback_data: `admin_invest_reject_${req.requestId}` }
+      ]]
+    }
+  );
+}
+
+// ========================================
+// WITHDRAW REQUESTS
+// ========================================
+
+const WITHDRAW_NETWORKS = {
+  TRC20: { label: "TRC20 (Tron)", pattern: /^T[1-9A-HJ-NP-Za-km-z]{33}$/, example: "T..." },
+  BEP20: { label: "BEP20 (BSC)", pattern: /^0x[0-9a-fA-F]{40}$/, example: "0x..." },
+  ERC20: { label: "ERC20 (Ethereum)", pattern: /^0x[0-9a-fA-F]{40}$/, example: "0x..." }
+};
+
+// اقدام ادمین -> وضعیت‌های مجاز قبلی و وضعیت جدید
+const WITHDRAW_ACTIONS = {
+  approve: { from: ["Pending"], to: "Approved" },
+  reject: { from: ["Pending", "Approved"], to: "Rejected" },
+  paid: { from: ["Pending", "Approved"], to: "Paid" }
+};
+
+const WITHDRAW_QUEUE_PAGE_SIZE = 5;
+
+function isValidWalletAddress(network, address) {
+  const net = WITHDRAW_NETWORKS[network];
+  return !!net && net.pattern.test(address);
+}
+
+function withdrawNetworkKeyboard() {
+  return {
+    inline_keyboard: [
+      ...Object.entries(WITHDRAW_NETWORKS).map(([key, net]) =>
+        [{ text: net.label, callback_data: `withdraw_network_${key}` }]
+      ),
+      [{ text: "↩️ لغو", callback_data: "withdraw_cancel" }]
+    ]
+  };
+}
+
+function formatWithdrawSummary(req) {
+  return (
+    `📛 نام کامل: ${escapeHtml(req.fullName)}\n` +
+    `📧 ایمیل: ${escapeHtml(req.email)}\n` +
+    `💵 مبلغ: <b>${req.amount}</b> USDT\n` +
+    `🌐 شبکه: ${req.network}\n` +
+    `👛 آدرس ولت:\n<code>${escapeHtml(req.walletAddress)}</code>`
+  );
+}
+
+function withdrawRequestToRow(req) {
+  return [
+    req.requestId,
+    req.userId,
+    req.fullName,
+    req.email,
+    req.walletAddress,
+    req.amount,
+    req.status,
+    req.notified,
+    req.createdAt,
+    req.network
+  ];
+}
+
+function rowToWithdrawRequest(row, idx) {
+  return {
+    requestId: row[0],
+    userId: row[1],
+    fullName: row[2] || "",
+    email: row[3] || "",
+    walletAddress: row[4] || "",
+    amount: row[5] || "",
+    status: row[6] || "Pending",
+    notified: row[7] || "No",
+    createdAt: row[8] || "",
+    network: row[9] || "",
+    rowIndex: idx + 1
+  };
+}
+
+async function createWithdrawRequest(userId, data) {
+  const req = {
+    requestId: `WD_${Date.now()}_${Math.floor(Math.random() * 10000)}`,
+    userId,
+    fullName: data.fullName || "",
+    email: data.email || "",
+    walletAddress: data.walletAddress || "",
+    amount: data.amount || "",
+    status: "Pending",
+    notified: "No",
+    createdAt: getNow(),
+    network: data.network || ""
+  };
+  await appendRow("WithdrawRequests", withdrawRequestToRow(req));
+  return req;
+}
+
+async function getWithdrawRequest(requestId) {
+  const found = await findRowByFirstCol("WithdrawRequests", requestId);
+  return found ? rowToWithdrawRequest(found.row, found.rowNumber - 1) : null;
+}
+
+// درخواست‌هایی که هنوز نهایی نشده‌اند (در انتظار بررسی یا تایید شده ولی پرداخت نشده)
+async function getOpenWithdrawRequests() {
+  const data = await readSheet("WithdrawRequests");
+  const list = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const req = rowToWithdrawRequest(data[i], i);
+    if (req.status === "Pending" || req.status === "Approved") list.push(req);
+  }
+
+  return list;
+}
+
+async function setWithdrawRequestStatus(req, status) {
+  req.status = status;
+  req.notified = "No";
+  await updateRow("WithdrawRequests", req.rowIndex, withdrawRequestToRow(req));
+}
+
+async function notifyWithdrawRequestStatus(req) {
+  const notes = {
+    Approved: "✅ درخواست برداشت شما تایید شد و به زودی پرداخت می‌شود.",
+    Rejected: "❌ درخواست برداشت شما رد شد.\n\nدر صورت نیاز از بخش پشتیبانی تیکت ارسال کنید.",
+    Paid: "💸 مبلغ درخواست برداشت شما به آدرس ولت اعلام‌شده پرداخت شد."
+  };
+
+  const mid = await sendMessage(req.userId,
+    formatMessage("🏧 وضعیت درخواست برداشت",
+      `🔖 شناسه: <code>${req.requestId}</code>\n\n${notes[req.status] || req.status}\n\n${formatWithdrawSummary(req)}`
+    ),
+    { inline_keyboard: [[{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]] }
+  );
+
+  if (mid) {
+    req.notified = "Yes";
+    await updateRow("WithdrawRequests", req.rowIndex, withdrawRequestToRow(req));
+
+    if (req.email && await canSendEmailToUser(req.userId, req.email)) {
+      await sendEmailSafe(req.email, "request_status", {
+        title: "وضعیت درخواست برداشت",
+        requestId: req.requestId,
+        statusLabel: REQUEST_STATUS_LABELS[req.status] || req.status,
+        note: notes[req.status] || ""
+      });
+    }
+  }
+}
+
+// دکمه‌های صف برداشت شماره صفحه را هم دارند تا بعد از اقدام همان صفحه دوباره نمایش داده شود
+function withdrawActionButtons(req, page) {
+  const buttons = [];
+  const pagePart = page === undefined ? "" : `${page}_`;
+  for (const [action, def] of Object.entries(WITHDRAW_ACTIONS)) {
+    if (!def.from.includes(req.status)) continue;
+    const label = { approve: "✅ تایید", reject: "❌ رد", paid: "💸 پرداخت شد" }[action];
+    buttons.push({ text: label, callback_data: `admin_wd_${action}_${pagePart}${req.requestId}` });
+  }
+  return buttons;
+}
+
+async function notifyAdminNewWithdrawRequest(req, firstName, username) {
+  await notifyAdmins("withdraw",
+    `🏧 <b>درخواست برداشت جدید!</b>\n` +
+    `👤 کاربر: ${escapeHtml(firstName)} (@${username || "ندارد"})\n` +
+    `🆔 UserID: ${req.userId}\n` +
+    `${formatWithdrawSummary(req)}\n` +
+    `🔖 شناسه: ${req.requestId}`,
+    { inline_keyboard: [withdrawActionButtons(req)] }
+  );
+}
+
+// ========================================
+// TICKETS
+// ========================================
+// هر تیکت یک ردیف در Tickets دارد و همه پیام‌های رفت و برگشتی در TicketMessages.
+// ستون Answer همیشه آخرین پاسخ پشتیبانی است تا پاسخ دستی در شیت (/admin/sync) کار کند.
+// تیکت‌های قدیمی بدون Status: با پاسخ = بسته، بدون پاسخ = باز.
+
+const TICKET_STATUS_LABELS = {
+  Open: "🟢 باز",
+  InProgress: "🛠 در حال بررسی",
+  WaitingUser: "⏳ در انتظار پاسخ کاربر",
+  Resolved: "✅ حل شده",
+  Closed: "🔒 بسته"
+};
+
+// تیکت‌هایی که هنوز فعال‌اند؛ Open و InProgress منتظر اقدام پشتیبانی هستند
+const TICKET_ACTIVE_STATUSES = ["Open", "InProgress", "WaitingUser"];
+const TICKET_ADMIN_PENDING_STATUSES = ["Open", "InProgress"];
+
+// پیام کاربر هنگام تغییر وضعیت توسط ادمین (WaitingUser با خود پاسخ اطلاع داده می‌شود)
+const TICKET_STATUS_NOTES = {
+  Open: "🟢 تیکت شما دوباره باز شد.",
+  InProgress: "🛠 تیکت شما در حال بررسی توسط پشتیبانی است.",
+  Resolved: "✅ تیکت شما حل‌شده اعلام شد. اگر مشکل باقی است، روی «پاسخ» بزنید.",
+  Closed: "🔒 تیکت شما بسته شد. برای موضوع جدید، تیکت جدید ثبت کنید."
+};
+
+// دسته‌بندی را کاربر هنگام ثبت تیکت انتخاب می‌کند و اولویت از آن به دست می‌آید
+const TICKET_CATEGORIES = {
+  deposit: { label: "💰 واریز", priority: "high" },
+  withdrawal: { label: "🏧 برداشت", priority: "high" },
+  account: { label: "👤 حساب کاربری", priority: "normal" },
+  technical: { label: "🛠 مشکل فنی", priority: "normal" },
+  other: { label: "❓ سایر", priority: "low" }
+};
+
+const TICKET_PRIORITIES = {
+  high: { label: "🔴 بالا", rank: 0 },
+  normal: { label: "🟡 معمولی", rank: 1 },
+  low: { label: "⚪️ پایین", rank: 2 }
+};
+
+// SLA: حداکثر ساعت انتظار تیکت برای پاسخ پشتیبانی، به تفکیک اولویت (0 = بدون SLA).
+// پیش‌فرض از TICKET_SLA_HOURS (مثل "high:4,normal:24,low:72") و قابل تغییر با /sla (شیت Settings)
+const TICKET_SLA_DEFAULTS = Object.assign({ high: 4, normal: 24, low: 72 },
+  Object.fromEntries((process.env.TICKET_SLA_HOURS || "")
+    .split(",").map(p => p.split(":").map(x => x.trim()))
+    .filter(([k, v]) => TICKET_PRIORITIES[k] && v !== undefined && !isNaN(Number(v)))
+    .map(([k, v]) => [k, Number(v)])
+  )
+);
+const TICKET_SLA_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// نظرسنجی رضایت (CSAT): امتیاز ۱ تا ۵ زیر هر پاسخ؛ امتیاز به ادمینِ پاسخ‌دهنده نسبت داده می‌شود
+const TICKET_RATING_COMMENT_MAX = 500;
+
+// تیکت منتظر کاربر یا حل‌شده بعد از این مدت بدون پاسخ کاربر بسته می‌شود (0 = غیرفعال)
+const TICKET_AUTO_CLOSE_DAYS = Number(process.env.TICKET_AUTO_CLOSE_DAYS || 7);
+const TICKET_AUTO_CLOSE_INTERVAL_MS = 60 * 60 * 1000;
+
+// پیوست‌های مجاز تیکت؛ file_id ها به صورت JSON در ستون Attachments پیام ذخیره می‌شوند
+const TICKET_ATTACHMENT_KINDS = ["photo", "document"];
+
+const TICKET_THREAD_PREVIEW = 8;
+const USER_TICKETS_PAGE_SIZE = 5;
+const TICKET_THREAD_MESSAGE_MAX = 400;
+
+function ticketToRow(t) {
+  return [
+    t.ticketId,
+    t.userId,
+    t.email,
+    t.message,
+    t.answer,
+    t.createdAt,
+    t.answeredAt,
+    t.notified,
+    t.status,
+    t.updatedAt,
+    t.category,
+    t.priority,
+    t.waitingSince,
+    t.slaAlertedAt,
+    t.answeredBy
+  ];
+}
+
+function rowToTicket(row, idx) {
+  return {
+    ticketId: row[0],
+    userId: String(row[1] || ""),
+    email: row[2] || "",
+    message: row[3] || "",
+    answer: row[4] || "",
+    createdAt: row[5] || "",
+    answeredAt: row[6] || "",
+    notified: row[7] || "No",
+    status: row[8] || (String(row[4] || "").trim() ? "Closed" : "Open"),
+    updatedAt: row[9] || row[6] || row[5] || "",
+    category: TICKET_CATEGORIES[row[10]] ? row[10] : "",
+    priority: TICKET_PRIORITIES[row[11]] ? row[11] : "normal",
+    waitingSince: row[12] || row[5] || "",
+    slaAlertedAt: row[13] || "",
+    answeredBy: row[14] || "",
+    rowIndex: idx + 1
+  };
+}
+
+async function getTicket(ticketId) {
+  const found = await findRowByFirstCol("Tickets", ticketId);
+  return found ? rowToTicket(found.row, found.rowNumber - 1) : null;
+}
+
+async function getAllTickets() {
+  const data = await readSheet("Tickets");
+  const list = [];
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0]) list.push(rowToTicket(data[i], i));
+  }
+  return list;
+}
+
+async function saveTicket(ticket) {
+  ticket.updatedAt = getNow();
+  await updateRow("Tickets", ticket.rowIndex, ticketToRow(ticket));
+}
+
+async function addTicketMessage(ticketId, sender, senderId, text, attachments) {
+  const messageId = `TM_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+  await appendRow("TicketMessages", [
+    messageId, ticketId, sender, senderId, text, getNow(),
+    attachments && attachments.length ? JSON.stringify(attachments) : ""
+  ]);
+  return messageId;
+}
+
+async function getTicketMessage(messageId) {
+  const found = await findRowByFirstCol("TicketMessages", messageId);
+  if (!found) return null;
+  const r = found.row;
+  return {
+    messageId: r[0], ticketId: String(r[1] || ""), sender: r[2], senderId: String(r[3] || ""),
+    rating: r[7] || "", ratingComment: r[8] || "", ratedAt: r[9] || "",
+    row: r, rowNumber: found.rowNumber
+  };
+}
+
+function extractTicketAttachments(message) {
+  const list = [];
+  if (!message) return list;
+
+  for (const kind of TICKET_ATTACHMENT_KINDS) {
+    if (!message[kind]) continue;
+    // برای عکس بزرگ‌ترین سایز آخر آرایه است
+    const media = Array.isArray(message[kind]) ? message[kind][message[kind].length - 1] : message[kind];
+    list.push({ kind, fileId: media.file_id });
+  }
+
+  return list;
+}
+
+function attachmentsLabel(attachments) {
+  return attachments.map(a => MEDIA_LABELS[a.kind] || a.kind).join(" ");
+}
+
+// متن پیام تیکت: متن یا کپشن؛ برای پیوست بدون توضیح، برچسب نوع پیوست
+function ticketMessageBody(text, attachments) {
+  return text || attachmentsLabel(attachments);
+}
+
+async function sendTicketAttachments(chatId, ticketId, attachments) {
+  for (const att of attachments) {
+    const { method, field } = MEDIA_SEND_METHODS[att.kind];
+    await telegramCall(method, { chat_id: String(chatId), [field]: att.fileId, caption: `📎 ${ticketId}` });
+  }
+}
+
+async function createTicket(userId, email, text, attachments = [], category = "other") {
+  const now = getNow();
+  const ticket = {
+    ticketId: `TKT_${Date.now()}_${Math.floor(Math.random() * 10000)}`,
+    userId: String(userId),
+    email: email || "",
+    message: ticketMessageBody(text, attachments),
+    answer: "",
+    createdAt: now,
+    answeredAt: "",
+    notified: "No",
+    status: "Open",
+    updatedAt: now,
+    category,
+    priority: TICKET_CATEGORIES[category].priority,
+    waitingSince: now,
+    slaAlertedAt: "",
+    answeredBy: ""
+  };
+
+  await appendRow("Tickets", ticketToRow(ticket));
+  await addTicketMessage(ticket.ticketId, "user", userId, text, attachments);
+  return ticket;
+}
+
+// تیکت دوباره منتظر پشتیبانی می‌شود؛ زمان انتظار (SLA) فقط اگر قبلاً منتظر نبود از نو شروع می‌شود
+function markTicketWaiting(ticket, status = "Open") {
+  if (!TICKET_ADMIN_PENDING_STATUSES.includes(ticket.status)) ticket.waitingSince = getNow();
+  ticket.status = status;
+}
+
+function ticketCategoryLabel(ticket) {
+  return ticket.category ? TICKET_CATEGORIES[ticket.category].label : "—";
+}
+
+// ساعت‌های گذشته از شروع انتظار تیکت برای پاسخ پشتیبانی
+function ticketWaitingHours(ticket) {
+  const since = parseTehranDateTime(String(ticket.waitingSince).slice(0, 16));
+  return since ? (Date.now() - since.getTime()) / (60 * 60 * 1000) : null;
+}
+
+function formatHours(hours) {
+  if (hours < 1) return `${Math.max(0, Math.round(hours * 60))} دقیقه`;
+  if (hours < 48) return `${Math.floor(hours)} ساعت`;
+  return `${Math.floor(hours / 24)} روز`;
+}
+
+async function getTicketSlaHours() {
+  const saved = parseJsonSafe(await getSetting("ticket_sla_hours"), {});
+  return Object.assign({}, TICKET_SLA_DEFAULTS, saved);
+}
+
+function isTicketSlaBreached(ticket, slaHours) {
+  if (!TICKET_ADMIN_PENDING_STATUSES.includes(ticket.status)) return false;
+  const limit = Number(slaHours[ticket.priority] || 0);
+  const hours = ticketWaitingHours(ticket);
+  return limit > 0 && hours !== null && hours >= limit;
+}
+
+// اول اولویت بالاتر، بعد قدیمی‌ترین انتظار
+function compareTicketsForAdmin(a, b) {
+  const rank = TICKET_PRIORITIES[a.priority].rank - TICKET_PRIORITIES[b.priority].rank;
+  if (rank) return rank;
+  return String(a.waitingSince).localeCompare(String(b.waitingSince));
+}
+
+// فیلترهای مرورگر تیکت ادمین (همراه با صفحه فعلی، JSON در Settings با کلید ticket_browser_<adminId>):
+//   status: "open"|"answered"|"all", userId, email (بخشی از ایمیل), from/to: "YYYY-MM-DD"
+const TICKET_BROWSER_STATUS_FILTERS = {
+  open: "🟡 در انتظار پاسخ",
+  answered: "✅ پاسخ داده‌شده",
+  all: "📋 همه"
+};
+
+const TICKET_BROWSER_PAGE_SIZE = 5;
+
+// جدا از State نگه داشته می‌شود تا مرحله ادمین (مثلاً پاسخ تیکت) را اشغال نکند
+async function getTicketBrowserState(adminId) {
+  return parseJsonSafe(await getSetting(`ticket_browser_${adminId}`), {});
+}
+
+async function saveTicketBrowserState(adminId, filters, page) {
+  await setSetting(`ticket_browser_${adminId}`, JSON.stringify({ filters, page }));
+}
+
+function filterTicketsForAdmin(tickets, filters) {
+  const status = filters.status || "open";
+  const email = (filters.email || "").toLowerCase();
+
+  const result = tickets.filter(t => {
+    if (status === "open" && !TICKET_ADMIN_PENDING_STATUSES.includes(t.status)) return false;
+    if (status === "answered" && !t.answer) return false;
+    if (filters.userId && String(t.userId) !== String(filters.userId)) return false;
+    if (email && !String(t.email || "").toLowerCase().includes(email)) return false;
+
+    const day = String(t.createdAt).slice(0, 10);
+    if (filters.from && day < filters.from) return false;
+    if (filters.to && day > filters.to) return false;
+    return true;
+  });
+
+  // تیکت‌های در انتظار به ترتیب اولویت و قدمت، بقیه جدیدترین اول
+  if (status === "open") return result.sort(compareTicketsForAdmin);
+  return result.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+function describeTicketFilters(filters) {
+  const lines = [`وضعیت: ${TICKET_BROWSER_STATUS_FILTERS[filters.status || "open"]}`];
+
+  if (filters.userId) lines.push(`👤 کاربر: ${filters.userId}`);
+  if (filters.email) lines.push(`📧 ایمیل: ${filters.email}`);
+  if (filters.from || filters.to) lines.push(`📅 تاریخ ثبت: ${filters.from || "…"} تا ${filters.to || "…"}`);
+  return lines.join("\n");
+}
+
+function ticketCategoryKeyboard() {
+  return {
+    inline_keyboard: [
+      ...Object.entries(TICKET_CATEGORIES).map(([key, c]) =>
+        [{ text: c.label, callback_data: `ticket_cat_${key}` }]
+      ),
+      [{ text: "↩️ لغو", callback_data: "back_to_main_send" }]
+    ]
+  };
+}
+
+async function askTicketCategory(chatId, userId, email) {
+  await setUserStateFields(userId, { step: "awaiting_ticket_category", tempData: email });
+  await sendMessage(chatId,
+    formatMessage("🎫 ارسال تیکت", "موضوع تیکت خود را انتخاب کنید:"),
+    ticketCategoryKeyboard()
+  );
+}
+
+// تیکت‌های قدیمی (قبل از TicketMessages) پیام اولشان در گفتگو نیست و از Message ساخته می‌شود؛
+// اگر هنوز پیامی در گفتگو ندارند، پاسخ تکی‌شان هم از ستون Answer می‌آید
+async function getTicketThread(ticket) {
+  const rows = await readSheet("TicketMessages");
+  const messages = rows.slice(1)
+    .filter(r => String(r[1]) === String(ticket.ticketId))
+    .map(r => ({
+      messageId: r[0], sender: r[2], senderId: r[3], text: r[4] || "", createdAt: r[5] || "",
+      attachments: parseJsonSafe(r[6], []), rating: r[7] || "", ratingComment: r[8] || ""
+    }));
+
+  if (!messages.length && ticket.answer) {
+    messages.push({ sender: "admin", senderId: "", text: ticket.answer, createdAt: ticket.answeredAt, attachments: [] });
+  }
+
+  if (!messages.length || messages[0].sender !== "user" || messages[0].createdAt !== ticket.createdAt) {
+    messages.unshift({ sender: "user", senderId: ticket.userId, text: ticket.message, createdAt: ticket.createdAt, attachments: [] });
+  }
+
+  return messages;
+}
+
+// forAdmin: برچسب فرستنده از دید ادمین یا کاربر
+function formatTicketThread(messages, forAdmin) {
+  const shown = messages.slice(-TICKET_THREAD_PREVIEW);
+  let out = messages.length > shown.length ? `… ${messages.length - shown.length} پیام قبلی\n\n` : "";
+
+  for (const m of shown) {
+    const who = m.sender === "admin" ? "🎧 پشتیبانی" : (forAdmin ? "👤 کاربر" : "👤 شما");
+    let text = m.text;
+    if (text.length > TICKET_THREAD_MESSAGE_MAX) text = text.slice(0, TICKET_THREAD_MESSAGE_MAX) + "…";
+    out += `<b>${who}</b> | ${m.createdAt}\n`;
+    if (text) out += `${escapeHtml(text)}\n`;
+    if (m.attachments.length) out += `${attachmentsLabel(m.attachments)}\n`;
+    out += "\n";
+  }
+
+  return out.trim();
+}
+
+// تاریخچه کامل بدون کوتاه‌سازی؛ در چند پیام تا از سقف طول پیام تلگرام رد نشود
+async function sendTicketHistory(chatId, ticket) {
+  const thread = await getTicketThread(ticket);
+  const parts = [];
+  let current = "";
+
+  for (const m of thread) {
+    let block = `<b>${m.sender === "admin" ? "🎧 پشتیبانی" : "👤 کاربر"}</b> | ${m.createdAt}\n`;
+    if (m.text) block += `${escapeHtml(m.text.slice(0, 3000))}${m.text.length > 3000 ? "…" : ""}\n`;
+    if (m.attachments.length) block += `${attachmentsLabel(m.attachments)}\n`;
+
+    if (current && current.length + block.length > 3500) {
+      parts.push(current);
+      current = "";
+    }
+    current += block + "\n";
+  }
+  if (current) parts.push(current);
+
+  for (let i = 0; i < parts.length; i++) {
+    const title = `📜 تیکت ${ticket.ticketId}` + (parts.length > 1 ? ` (${i + 1}/${parts.length})` : "");
+    await sendMessage(chatId, formatMessage(title, parts[i].trim()));
+  }
+}
+
+function userTicketKeyboard(ticket) {
+  const rows = [];
+  if (ticket.status !== "Closed") {
+    rows.push([
+      { text: "✍️ پاسخ", callback_data: `ticket_reply_${ticket.ticketId}` },
+      { text: "🔒 بستن تیکت", callback_data: `ticket_close_${ticket.ticketId}` }
+    ]);
+  }
+  rows.push([{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]);
+  return { inline_keyboard: rows };
+}
+
+function adminTicketKeyboard(ticket) {
+  const statusButtons = Object.keys(TICKET_STATUS_LABELS)
+    .filter(s => s !== ticket.status && s !== "WaitingUser")
+    .map(s => ({ text: TICKET_STATUS_LABELS[s], callback_data: `admin_tkt_st_${s}_${ticket.ticketId}` }));
+
+  return {
+    inline_keyboard: [
+      [
+        { text: "✍️ پاسخ", callback_data: `admin_reply_ticket_${ticket.ticketId}` },
+        { text: "🗂 گفتگو", callback_data: `admin_tkt_view_${ticket.ticketId}` }
+      ],
+      statusButtons.slice(0, 2),
+      statusButtons.slice(2)
+    ].filter(row => row.length)
+  };
+}
+
+// امتیاز به خود پاسخ (answerId در TicketMessages) داده می‌شود تا پاسخ‌های بعدی آن را عوض نکنند
+function ticketRatingKeyboard(ticket, answerId) {
+  const keyboard = userTicketKeyboard(ticket);
+  keyboard.inline_keyboard.unshift([1, 2, 3, 4, 5].map(n =>
+    ({ text: `${n} ⭐️`, callback_data: `ticket_rate_${n}_${answerId}` })
+  ));
+  return keyboard;
+}
+
+// ارسال آخرین پاسخ (ستون Answer) و پیوست‌هایش به کاربر؛ ممکن است چند بار (sync) تکرار شود
+async function deliverTicketAnswer(ticket, attachments = [], answerId = "") {
+  const mid = await sendMessage(ticket.userId,
+    formatMessage("📢 پاسخ تیکت",
+      `شماره تیکت: <code>${ticket.ticketId}</code>\n\n${escapeHtml(ticket.answer)}\n\n` +
+      "⭐️ از ۱ تا ۵ به این پاسخ چه امتیازی می‌دهید؟"
+    ),
+    ticketRatingKeyboard(ticket, answerId)
+  );
+
+  if (mid) {
+    await sendTicketAttachments(ticket.userId, ticket.ticketId, attachments);
+    ticket.notified = "Yes";
+    await updateRow("Tickets", ticket.rowIndex, ticketToRow(ticket));
+  }
+
+  return mid;
+}
+
+// ایمیل هر پاسخ فقط یک بار و هنگام ثبت آن فرستاده می‌شود، نه در هر تلاش تحویل
+async function emailTicketAnswer(ticket) {
+  if (ticket.email && await canSendEmailToUser(ticket.userId, ticket.email)) {
+    await sendEmailSafe(ticket.email, "ticket_answered", { ticketId: ticket.ticketId, answer: ticket.answer });
+  }
+}
+
+async function replyToTicket(ticket, adminId, text, attachments = []) {
+  const answerId = await addTicketMessage(ticket.ticketId, "admin", adminId, text, attachments);
+
+  ticket.answer = ticketMessageBody(text, attachments);
+  ticket.answeredBy = String(adminId);
+  ticket.answeredAt = getNow();
+  ticket.notified = "No";
+  ticket.status = "WaitingUser";
+  await saveTicket(ticket);
+
+  const mid = await deliverTicketAnswer(ticket, attachments, answerId);
+  await emailTicketAnswer(ticket);
+  return mid;
+}
+
+// answer: پیام پاسخ ادمین (getTicketMessage)؛ امتیاز دوباره، امتیاز و نظر قبلی را جایگزین می‌کند
+async function rateTicketAnswer(answer, rating) {
+  const row = answer.row.slice();
+  row[7] = String(rating);
+  row[8] = "";
+  row[9] = getNow();
+  await updateRow("TicketMessages", answer.rowNumber, row);
+}
+
+// امتیازها فقط روی پاسخ‌های ادمین در TicketMessages ثبت می‌شوند
+async function getCsatRatings() {
+  const rows = await readSheet("TicketMessages");
+  return rows.slice(1)
+    .filter(r => r[2] === "admin" && r[7])
+    .map(r => ({ rating: r[7], ratedAt: r[9] || "", adminId: String(r[3] || "") }));
+}
+
+// میانگین امتیاز؛ since (اختیاری) با فرمت getNow
+function csatSummary(ratings, since) {
+  const rated = ratings.filter(r => !since || r.ratedAt >= since);
+  const sum = rated.reduce((n, r) => n + Number(r.rating), 0);
+  return { count: rated.length, average: rated.length ? Math.round((sum / rated.length) * 100) / 100 : null };
+}
+
+function csatByAdmin(ratings) {
+  const result = {};
+  for (const r of ratings) {
+    const key = r.adminId || "unknown";
+    result[key] = result[key] || [];
+    result[key].push(r);
+  }
+  return Object.fromEntries(Object.entries(result).map(([id, list]) => [id, csatSummary(list)]));
+}
+
+async function setTicketStatus(ticket, status) {
+  if (TICKET_ADMIN_PENDING_STATUSES.includes(status)) markTicketWaiting(ticket, status);
+  else ticket.status = status;
+  await saveTicket(ticket);
+
+  if (TICKET_STATUS_NOTES[status]) {
+    await sendMessage(ticket.userId,
+      formatMessage("🎫 وضعیت تیکت",
+        `شماره تیکت: <code>${ticket.ticketId}</code>\n\n${TICKET_STATUS_NOTES[status]}`
+      ),
+      userTicketKeyboard(ticket)
+    );
+  }
+}
+
+async function notifyAdminTicketMessage(ticket, firstName, username, text, isNew, attachments = []) {
+  await notifyAdmins("tickets",
+    `🎫 <b>${isNew ? "تیکت جدید!" : "پاسخ جدید کاربر در تیکت"}</b>\n` +
+    `👤 کاربر: ${escapeHtml(firstName)} (@${username || "ندارد"})\n` +
+    `🆔 UserID: ${ticket.userId}\n` +
+    `📧 ایمیل: ${escapeHtml(ticket.email)}\n` +
+    `🗂 موضوع: ${ticketCategoryLabel(ticket)} | اولویت: ${TICKET_PRIORITIES[ticket.priority].label}\n` +
+    `📝 متن:\n${escapeHtml(ticketMessageBody(text, attachments))}\n` +
+    `🔖 شناسه: ${ticket.ticketId}\n\n` +
+    `برای پاسخ: /reply_${ticket.ticketId}`,
+    adminTicketKeyboard(ticket)
+  );
+
+  if (attachments.length) {
+    const admins = (await getAdmins()).filter(a => roleCan(a.role, "tickets"));
+    for (const admin of admins) {
+      await sendTicketAttachments(admin.userId, ticket.ticketId, attachments);
+    }
+  }
+}
+
+// لیست تیکت‌های کاربر (جدیدترین اول)
+async function handleUserTickets(chatId, messageId, userId, page) {
+  const tickets = (await getAllTickets()).filter(t => t.userId === String(userId)).reverse();
+
+  if (tickets.length === 0) {
+    await editMessageText(chatId, messageId,
+      formatMessage("🗂 تیکت‌های من", "شما هنوز تیکتی ثبت نکرده‌اید."),
+      {
+        inline_keyboard: [
+          [{ text: "🎫 ارسال تیکت", callback_data: "support_ticket" }],
+          [{ text: "↩️ بازگشت", callback_data: "support_menu" }]
+        ]
+      }
+    );
+    return;
+  }
+
+  const pages = Math.ceil(tickets.length / USER_TICKETS_PAGE_SIZE);
+  page = Math.min(Math.max(0, page), pages - 1);
+  const show = tickets.slice(page * USER_TICKETS_PAGE_SIZE, (page + 1) * USER_TICKETS_PAGE_SIZE);
+
+  let content = `<b>${tickets.length} تیکت</b> (صفحه ${page + 1} از ${pages}):\n\n`;
+  const keyboard = { inline_keyboard: [] };
+
+  for (const t of show) {
+    const msg = t.message.substring(0, 40);
+    content += `🔖 <code>${t.ticketId}</code>\n`;
+    content += `${TICKET_STATUS_LABELS[t.status]} | 🗓 ${t.createdAt.slice(0, 16)}\n`;
+    content += `📝 ${escapeHtml(msg)}${t.message.length > 40 ? "..." : ""}\n\n`;
+    keyboard.inline_keyboard.push([
+      { text: `${TICKET_STATUS_LABELS[t.status]} | ${t.createdAt.slice(0, 10)}`, callback_data: `my_ticket_${t.ticketId}` }
+    ]);
+  }
+
+  const nav = [];
+  if (page > 0) nav.push({ text: "◀️ قبلی", callback_data: `my_tickets_${page - 1}` });
+  if (page < pages - 1) nav.push({ text: "بعدی ▶️", callback_data: `my_tickets_${page + 1}` });
+  if (nav.length) keyboard.inline_keyboard.push(nav);
+  keyboard.inline_keyboard.push([{ text: "↩️ بازگشت", callback_data: "support_menu" }]);
+
+  await editMessageText(chatId, messageId, formatMessage("🗂 تیکت‌های من", content), keyboard);
+}
+
+async function handleUserTicketView(chatId, messageId, userId, ticketId) {
+  const ticket = await getTicket(ticketId);
+
+  if (!ticket || ticket.userId !== String(userId)) {
+    await editMessageText(chatId, messageId,
+      formatMessage("خطا", "❌ تیکت پیدا نشد."),
+      { inline_keyboard: [[{ text: "↩️ تیکت‌های من", callback_data: "my_tickets_0" }]] }
+    );
+    return;
+  }
+
+  const thread = await getTicketThread(ticket);
+  const keyboard = userTicketKeyboard(ticket);
+  keyboard.inline_keyboard.splice(-1, 0, [{ text: "↩️ تیکت‌های من", callback_data: "my_tickets_0" }]);
+
+  await editMessageText(chatId, messageId,
+    formatMessage("🎫 جزئیات تیکت",
+      `🔖 <code>${ticket.ticketId}</code>\n` +
+      `🗂 موضوع: ${ticketCategoryLabel(ticket)}\n` +
+      `وضعیت: ${TICKET_STATUS_LABELS[ticket.status]}\n` +
+      `🗓 ${ticket.createdAt}\n\n` +
+      formatTicketThread(thread, false)
+    ),
+    keyboard
+  );
+}
+
+async function closeStaleTickets() {
+  if (!TICKET_AUTO_CLOSE_DAYS) return;
+
+  try {
+    // تاریخ‌ها با فرمت getNow ذخیره شده‌اند و به صورت رشته قابل مقایسه‌اند
+    const cutoff = formatTehranDateTime(new Date(Date.now() - TICKET_AUTO_CLOSE_DAYS * 24 * 60 * 60 * 1000));
+    const stale = (await getAllTickets())
+      .filter(t => (t.status === "WaitingUser" || t.status === "Resolved") && t.updatedAt && t.updatedAt < cutoff);
+
+    for (const ticket of stale) {
+      ticket.status = "Closed";
+      await saveTicket(ticket);
+      await sendMessage(ticket.userId,
+        formatMessage("🎫 وضعیت تیکت",
+          `شماره تیکت: <code>${ticket.ticketId}</code>\n\n` +
+          `🔒 تیکت شما به دلیل عدم پاسخ در ${TICKET_AUTO_CLOSE_DAYS} روز گذشته بسته شد.\n` +
+          "برای موضوع جدید، تیکت جدید ثبت کنید."
+        ),
+        { inline_keyboard: [[{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]] }
+      );
+      await logAdminAction("system", "ticket_auto_close", ticket.ticketId, `${TICKET_AUTO_CLOSE_DAYS} days`);
+    }
+  } catch (e) {
+    console.error("closeStaleTickets error:", e.message);
+  }
+}
+
+function startTicketAutoClose() {
+  if (!TICKET_AUTO_CLOSE_DAYS) return;
+  closeStaleTickets();
+  setInterval(closeStaleTickets, TICKET_AUTO_CLOSE_INTERVAL_MS);
+}
+
+// برای هر دوره انتظار فقط یک بار هشدار داده می‌شود (SlaAlertedAt = WaitingSince همان دوره)
+async function checkTicketSla() {
+  try {
+    const slaHours = await getTicketSlaHours();
+    const blocked = await getBlockedUserIds();
+    const breached = (await getAllTickets())
+      .filter(t => !blocked.has(String(t.userId)))
+      .filter(t => t.slaAlertedAt !== t.waitingSince && isTicketSlaBreached(t, slaHours))
+      .sort(compareTicketsForAdmin);
+
+    if (!breached.length) return;
+
+    for (const t of breached) {
+      t.slaAlertedAt = t.waitingSince;
+      await updateRow("Tickets", t.rowIndex, ticketToRow(t));
+    }
+
+    let content = `<b>${breached.length} تیکت</b> از زمان مجاز پاسخ (SLA) گذشته است:\n\n`;
+    for (const t of breached.slice(0, 10)) {
+      content += `🔖 <code>${t.ticketId}</code>\n`;
+      content += `${TICKET_PRIORITIES[t.priority].label} | ${ticketCategoryLabel(t)} | ⏱ ${formatHours(ticketWaitingHours(t))}\n\n`;
+    }
+
+    await notifyAdmins("tickets",
+      formatMessage("🚨 هشدار SLA تیکت‌ها", content),
+      {
+        inline_keyboard: breached.slice(0, 10).map(t =>
+          [{ text: `🗂 ${t.ticketId}`, callback_data: `admin_tkt_view_${t.ticketId}` }]
+        )
+      }
+    );
+  } catch (e) {
+    console.error("checkTicketSla error:", e.message);
+  }
+}
+
+function startTicketSlaMonitor() {
+  checkTicketSla();
+  setInterval(checkTicketSla, TICKET_SLA_CHECK_INTERVAL_MS);
+}
+
+// ========================================
+// CANNED RESPONSES
+// ========================================
+// پاسخ‌های آماده تیکت در شیت CannedResponses؛ placeholder ها هنگام استفاده با اطلاعات
+// همان تیکت جایگزین می‌شوند.
+
+const CANNED_PLACEHOLDERS = {
+  "{first_name}": "نام کوچک کاربر",
+  "{ticket_id}": "شماره تیکت",
+  "{category}": "موضوع تیکت"
+};
+
+async function getCannedResponses() {
+  const rows = await readSheet("CannedResponses");
+  return rows.slice(1)
+    .filter(r => r[0] && String(r[5] || "Yes").toLowerCase() === "yes")
+    .map(r => ({ responseId: r[0], title: r[1] || r[0], text: r[2] || "", createdAt: r[4] || "" }));
+}
+
+async function getCannedResponse(responseId) {
+  return (await getCannedResponses()).find(r => r.responseId === responseId) || null;
+}
+
+async function saveCannedResponse(title, text, createdBy) {
+  const responseId = `CR_${Date.now()}`;
+  await appendRow("CannedResponses", [responseId, title, text, createdBy, getNow(), "Yes"]);
+  return responseId;
+}
+
+async function updateCannedResponse(responseId, title, text) {
+  const found = await findRowByFirstCol("CannedResponses", responseId);
+  if (!found || String(found.row[5] || "Yes").toLowerCase() !== "yes") return false;
+
+  found.row[1] = title;
+  found.row[2] = text;
+  await updateRow("CannedResponses", found.rowNumber, found.row);
+  return true;
+}
+
+// ورودی «عنوان | متن» برای افزودن و ویرایش؛ null یعنی فرمت نامعتبر
+function parseCannedInput(text) {
+  const sep = text.indexOf("|");
+  const title = sep > 0 ? text.slice(0, sep).trim() : "";
+  const body = sep > 0 ? text.slice(sep + 1).trim() : "";
+  return title && body && title.length <= 40 ? { title, body } : null;
+}
+
+async function deleteCannedResponse(responseId) {
+  const found = await findRowByFirstCol("CannedResponses", responseId);
+  if (!found) return false;
+
+  found.row[5] = "No";
+  await updateRow("CannedResponses", found.rowNumber, found.row);
+  return true;
+}
+
+async function renderCannedResponse(text, ticket) {
+  const user = await getUserById(ticket.userId);
+  const values = {
+    "{first_name}": (user && user.firstName) || "کاربر",
+    "{ticket_id}": ticket.ticketId,
+    "{category}": ticketCategoryLabel(ticket)
+  };
+
+  return Object.entries(values).reduce((out, [key, value]) => out.split(key).join(value), text);
+}
+
+// کیبورد مرحله awaiting_ticket_reply: پاسخ‌های آماده (دوتایی) + لغو
+async function ticketReplyKeyboard(cancelCallback) {
+  const responses = await getCannedResponses();
+  const rows = [];
+
+  for (let i = 0; i < responses.length; i += 2) {
+    rows.push(responses.slice(i, i + 2).map(r =>
+      ({ text: `💬 ${r.title}`, callback_data: `admin_canned_use_${r.responseId}` })
+    ));
+  }
+
+  rows.push([{ text: "❌ لغو", callback_data: cancelCallback }]);
+  return { inline_keyboard: rows };
+}
+
+// ثبت و ارسال پاسخ ادمین (متن تایپ‌شده یا پاسخ آماده) و پایان مرحله awaiting_ticket_reply
+async function submitTicketReply(chatId, adminId, ticketId, body, attachments = []) {
+  const ticket = await getTicket(ticketId);
+
+  if (!ticket) {
+    await sendMessage(chatId, formatMessage("خطا", "❌ تیکت پیدا نشد."));
+    await clearUserState(adminId);
+    return;
+  }
+
+  const delivered = await replyToTicket(ticket, adminId, body, attachments);
+
+  await logAdminAction(adminId, "ticket_reply", ticketId, ticket.answer);
+  await clearUserState(adminId);
+  await sendMessage(chatId,
+    formatMessage("پاسخ ارسال شد",
+      `✅ پاسخ به تیکت ${ticketId} ${delivered ? "با موفقیت ارسال شد" : "ثبت شد ولی به کاربر تحویل نشد"}.\n\n` +
+      `وضعیت: ${TICKET_STATUS_LABELS[ticket.status]}`
+    ),
+    adminTicketKeyboard(ticket)
+  );
+}
+
+// ========================================
+// AUDIENCE SEGMENTS
+// ========================================
+// فیلترهای سگمنت یک آبجکت ساده هستند و به صورت JSON در State (هنگام ساخت) و
+// شیت Segments (سگمنت‌های ذخیره‌شده) نگه داشته می‌شوند:
+//   email: "yes"|"no", joinedFrom/joinedTo: "YYYY-MM-DD",
+//   activeDays / inactiveDays: N, lesson: { key, viewed: true|false },
+//   openTicket: "yes"|"no", invested: "yes"|"no"
+
+const SEGMENT_TOGGLES = {
+  email: { label: "📧 ایمیل", yes: "تأیید شده", no: "تأیید نشده" },
+  openTicket: { label: "🎫 تیکت باز", yes: "دارد", no: "ندارد" },
+  invested: { label: "💼 درخواست سرمایه‌گذاری", yes: "دارد", no: "ندارد" }
+};
+
+function nextToggleValue(value) {
+  if (!value) return "yes";
+  if (value === "yes") return "no";
+  return undefined;
+}
+
+function isValidDateOnly(str) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(str) && !!parseTehranDateTime(`${str} 00:00`);
+}
+
+function describeSegment(filters) {
+  const lines = [];
+
+  for (const [field, t] of Object.entries(SEGMENT_TOGGLES)) {
+    if (filters[field]) lines.push(`${t.label}: ${t[filters[field]]}`);
+  }
+  if (filters.joinedFrom || filters.joinedTo) {
+    lines.push(`📅 عضویت: ${filters.joinedFrom || "..."} تا ${filters.joinedTo || "..."}`);
+  }
+  if (filters.activeDays) lines.push(`🟢 فعال در ${filters.activeDays} روز اخیر`);
+  if (filters.inactiveDays) lines.push(`💤 غیرفعال در ${filters.inactiveDays} روز اخیر`);
+  if (filters.lesson) {
+    const title = LESSON_TITLES[filters.lesson.key] || filters.lesson.key;
+    lines.push(`📖 ${filters.lesson.viewed ? "دیده" : "ندیده"}: ${title}`);
+  }
+
+  return lines.length ? lines.join("\n") : "بدون فیلتر (همه کاربران)";
+}
+
+async function computeSegmentRecipients(filters) {
+  const users = (await readSheet("Users")).slice(1).filter(r => r[0] && !isBlockedUserRow(r));
+  const daysAgo = n => formatTehranDateTime(new Date(Date.now() - n * 24 * 60 * 60 * 1000));
+
+  let lessonViewers = null;
+  if (filters.lesson) {
+    const action = `viewed_${filters.lesson.key}`;
+    lessonViewers = new Set(
+      (await readSheet("UserActions")).slice(1).filter(r => r[1] === action).map(r => String(r[0]))
+    );
+  }
+
+  let openTicketUsers = null;
+  if (filters.openTicket) {
+    openTicketUsers = new Set(
+      (await getAllTickets()).filter(t => TICKET_ACTIVE_STATUSES.includes(t.status)).map(t => t.userId)
+    );
+  }
+
+  let investors = null;
+  if (filters.invested) {
+    investors = new Set((await readSheet("InvestRequests")).slice(1).map(r => String(r[1])));
+  }
+
+  // تاریخ‌ها با فرمت getNow ذخیره شده‌اند و به صورت رشته قابل مقایسه‌اند
+  const activeSince = filters.activeDays ? daysAgo(filters.activeDays) : null;
+  const inactiveSince = filters.inactiveDays ? daysAgo(filters.inactiveDays) : null;
+
+  return users.filter(r => {
+    const id = String(r[0]);
+    const confirmed = String(r[5] || "").toLowerCase() === "yes";
+    const joined = String(r[6] || "").slice(0, 10);
+    const lastActive = String(r[7] || "");
+
+    if (filters.email && confirmed !== (filters.email === "yes")) return false;
+    if (filters.joinedFrom && (!joined || joined < filters.joinedFrom)) return false;
+    if (filters.joinedTo && (!joined || joined > filters.joinedTo)) return false;
+    if (activeSince && lastActive < activeSince) return false;
+    if (inactiveSince && lastActive >= inactiveSince) return false;
+    if (lessonViewers && lessonViewers.has(id) !== filters.lesson.viewed) return false;
+    if (openTicketUsers && openTicketUsers.has(id) !== (filters.openTicket === "yes")) return false;
+    if (investors && investors.has(id) !== (filters.invested === "yes")) return false;
+    return true;
+  }).map(r => String(r[0]));
+}
+
+async function getSavedSegments() {
+  const rows = await readSheet("Segments");
+  return rows.slice(1)
+    .filter(r => r[0] && String(r[4] || "Yes").toLowerCase() === "yes")
+    .map(r => ({ segmentId: r[0], name: r[1] || r[0], filters: parseJsonSafe(r[2], {}), createdAt: r[3] || "" }));
+}
+
+async function saveSegment(name, filters) {
+  const segmentId = `SEG_${Date.now()}`;
+  await appendRow("Segments", [segmentId, name, JSON.stringify(filters), getNow(), "Yes"]);
+  return segmentId;
+}
+
+async function deleteSegment(segmentId) {
+  const found = await findRowByFirstCol("Segments", segmentId);
+  if (!found) return;
+  found.row[4] = "No";
+  await updateRow("Segments", found.rowNumber, found.row);
+}
+
+// ========================================
+// MAIN UPDATE HANDLER
+// ========================================
+
+async function handleUpdate(update) {
+  try {
+    const message = update.message;
+    const callback = update.callback_query;
+    
+    if (!message && !callback) return;
+
+    let chatId, text = "", from;
+    
+    if (message) {
+      chatId = message.chat.id;
+      text = (message.text || "").toString().trim();
+      from = message.from;
+    } else if (callback) {
+      chatId = callback.message.chat.id;
+      text = "";
+      from = callback.from;
+    }
+
+    const firstName = from?.first_name || "";
+    const lastName = from?.last_name || "";
+    const username = from?.username || "";
+    const userId = chatId;
+
+    // کاربر مسدود شده نادیده گرفته می‌شود (مدیران هیچ‌وقت مسدود نمی‌شوند)
+    const existingUser = await getUserById(userId);
+    if (existingUser && existingUser.blocked && !(await getAdminRole(userId))) {
+      // بدون پاسخ به callback دکمه در تلگرام در حال بارگذاری می‌ماند
+      if (callback) await answerCallbackQuery(callback.id);
+      return;
+    }
+
+    // Update user record (but don't overwrite email)
+    await registerOrUpdateUser(userId, firstName, lastName, username, null, null);
+    const adminRole = await getAdminRole(userId);
+
+    // ========================================
+    // CALLBACK HANDLERS
+    // ========================================
+    
+    if (callback) {
+      await answerCallbackQuery(callback.id);
+      const cd = callback.data;
+
+      // --- ADMIN PANEL ---
+      if (adminRole && cd && cd.startsWith("admin_")) {
+        if (!roleCan(adminRole, permissionForCallback(cd))) {
+          await sendMessage(chatId, formatMessage("⛔️ دسترسی محدود", "شما به این بخش از پنل دسترسی ندارید."));
+          return;
+        }
+
+        if (cd === "admin_stats") {
+          await handleAdminStats(chatId, callback.message.message_id);
+          return;
+        }
+
+        if (cd === "admin_broadcast") {
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("📢 پیام همگانی",
+              "پیامی که میخوای به <b>همه کاربران</b> ارسال بشه رو بفرست:\n\n" +
+              "📝 متن، 🖼 عکس، 🎬 ویدیو یا 📎 فایل (همراه با کپشن) یا یک پست فوروارد شده\n\n" +
+              "⚠️ این پیام برای تمام کاربران ثبت‌نام شده ارسال خواهد شد."
+            ),
+            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
+          );
+          await setUserStateFields(userId, { step: "awaiting_broadcast_message", tempData: "" });
+          return;
+        }
+
+        if (cd === "admin_filtered_broadcast") {
+          await handleAdminSegmentBuilder(chatId, userId, callback.message.message_id, {});
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_seg_")) {
+          const segState = parseJsonSafe((await getUserState(userId)).tempData, {});
+          const filters = segState.filters || {};
+          const mid = callback.message.message_id;
+          const backKb = { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "admin_seg_back" }]] };
+
+          if (cd.startsWith("admin_seg_t_")) {
+            const field = cd.replace("admin_seg_t_", "");
+            if (SEGMENT_TOGGLES[field]) {
+              filters[field] = nextToggleValue(filters[field]);
+              if (!filters[field]) delete filters[field];
+            }
+            await handleAdminSegmentBuilder(chatId, userId, mid, filters);
+            return;
+          }
+
+          if (cd === "admin_seg_back") {
+            await handleAdminSegmentBuilder(chatId, userId, mid, filters);
+            return;
+          }
+
+          if (cd === "admin_seg_reset") {
+            await handleAdminSegmentBuilder(chatId, userId, mid, {});
+            return;
+          }
+
+          if (cd === "admin_seg_joined") {
+            await setUserStateFields(userId, { step: "awaiting_segment_joined" });
+            await editMessageText(chatId, mid,
+              formatMessage("📅 تاریخ عضویت",
+                "بازه تاریخ عضویت را وارد کنید:\n<code>2026-01-01 2026-03-31</code>\n\n" +
+                "برای بازه یک‌طرفه به جای تاریخ <code>-</code> بگذارید:\n<code>2026-01-01 -</code>\n\n" +
+                "برای حذف این فیلتر فقط <code>-</code> بفرستید."
+              ),
+              backKb
+            );
+            return;
+          }
+
+          if (cd.startsWith("admin_seg_days_")) {
+            const field = cd.replace("admin_seg_days_", "");
+            if (field !== "activeDays" && field !== "inactiveDays") return;
+
+            await setUserStateFields(userId, { step: "awaiting_segment_days", tempData: JSON.stringify({ filters, field }) });
+            await editMessageText(chatId, mid,
+              formatMessage(field === "activeDays" ? "🟢 کاربران فعال" : "💤 کاربران غیرفعال",
+                "تعداد روز را وارد کنید (مثلاً <code>30</code>).\nبرای حذف این فیلتر <code>0</code> بفرستید."
+              ),
+              backKb
+            );
+            return;
+          }
+
+          if (cd === "admin_seg_lessons") {
+            const keyboard = { inline_keyboard: [] };
+            for (const [key, title] of Object.entries(LESSON_TITLES)) {
+              keyboard.inline_keyboard.push([
+                { text: `👁 ${title}`, callback_data: `admin_seg_lv_${key}` },
+                { text: "🚫 ندیده", callback_data: `admin_seg_ln_${key}` }
+              ]);
+            }
+            keyboard.inline_keyboard.push(
+              [{ text: "🧹 حذف فیلتر درس", callback_data: "admin_seg_lx" }],
+              [{ text: "↩️ بازگشت", callback_data: "admin_seg_back" }]
+            );
+            await editMessageText(chatId, mid,
+              formatMessage("📖 درس آموزشی", "کاربرانی که درس را <b>دیده‌اند</b> (👁) یا <b>ندیده‌اند</b> (🚫):"),
+              keyboard
+            );
+            return;
+          }
+
+          if (cd.startsWith("admin_seg_lv_") || cd.startsWith("admin_seg_ln_") || cd === "admin_seg_lx") {
+            const key = cd.slice("admin_seg_lv_".length);
+            if (cd === "admin_seg_lx" || !LESSON_TITLES[key]) delete filters.lesson;
+            else filters.lesson = { key, viewed: cd.startsWith("admin_seg_lv_") };
+            await handleAdminSegmentBuilder(chatId, userId, mid, filters);
+            return;
+          }
+
+          if (cd === "admin_seg_save") {
+            await setUserStateFields(userId, { step: "awaiting_segment_name" });
+            await editMessageText(chatId, mid,
+              formatMessage("💾 ذخیره سگمنت", `${escapeHtml(describeSegment(filters))}\n\nیک نام برای این سگمنت بفرستید:`),
+              backKb
+            );
+            return;
+          }
+
+          if (cd === "admin_seg_saved") {
+            await handleAdminSavedSegments(chatId, mid);
+            return;
+          }
+
+          if (cd.startsWith("admin_seg_load_")) {
+            const seg = (await getSavedSegments()).find(s => s.segmentId === cd.replace("admin_seg_load_", ""));
+            await handleAdminSegmentBuilder(chatId, userId, mid, seg ? seg.filters : filters,
+              seg ? `📂 سگمنت «${escapeHtml(seg.name)}» بارگذاری شد.` : "❌ سگمنت پیدا نشد.");
+            return;
+          }
+
+          if (cd.startsWith("admin_seg_rm_")) {
+            await deleteSegment(cd.replace("admin_seg_rm_", ""));
+            await handleAdminSavedSegments(chatId, mid);
+            return;
+          }
+
+          if (cd === "admin_seg_go") {
+            const count = (await computeSegmentRecipients(filters)).length;
+
+            if (count === 0) {
+              await handleAdminSegmentBuilder(chatId, userId, mid, filters, "⚠️ هیچ کاربری با این فیلترها پیدا نشد.");
+              return;
+            }
+
+            // فقط فیلترها ذخیره می‌شوند؛ لیست گیرندگان هنگام ارسال دوباره محاسبه می‌شود
+            await setUserStateFields(userId, {
+              step: "awaiting_filtered_message",
+              tempData: JSON.stringify({ filters })
+            });
+            await editMessageText(chatId, mid,
+              formatMessage("🎯 پیام فیلتر شده",
+                `✅ ${count} کاربر انتخاب شد.\n\nحالا پیام (متن یا مدیا) را ارسال کنید:`
+              ),
+              { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
+            );
+            return;
+          }
+
+          if (cd === "admin_seg_manual") {
+            await editMessageText(chatId, mid,
+              formatMessage("🎯 پیام فیلتر شده",
+                "لطفاً <b>ID کاربران</b> مورد نظر را ارسال کنید.\n\n" +
+                "فرمت: هر ID در یک خط جداگانه:\n\n" +
+                "<code>123456789\n987654321\n111222333</code>\n\n" +
+                "یا با کاما جدا کنید:\n" +
+                "<code>123456789, 987654321, 111222333</code>"
+              ),
+              { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
+            );
+            await setUserStateFields(userId, { step: "awaiting_filtered_ids" });
+          }
+          return;
+        }
+
+        if (cd === "admin_tickets") {
+          const browse = await getTicketBrowserState(userId);
+          await handleAdminViewTickets(chatId, userId, callback.message.message_id, browse.filters || {}, browse.page || 0);
+          return;
+        }
+
+        if (cd === "admin_backup") {
+          await handleAdminBackup(chatId);
+          await logAdminAction(userId, "backup_summary", "", "");
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_audit_")) {
+          const page = Number(cd.replace("admin_audit_", "")) || 0;
+          await handleAdminAuditLog(chatId, callback.message.message_id, page);
+          return;
+        }
+
+        if (cd === "admin_admins") {
+          await handleAdminAdmins(chatId, callback.message.message_id);
+          return;
+        }
+
+        if (cd === "admin_announcements") {
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("📋 مدیریت اطلاعیه",
+              "برای افزودن اطلاعیه جدید، متن زیر را ارسال کنید:\n\n" +
+              "<code>/announce عنوان | متن اطلاعیه</code>\n\n" +
+              "مثال:\n" +
+              "<code>/announce آپدیت سیستم | سیستم فردا ساعت ۲۲ آپدیت می‌شود</code>\n\n" +
+              "⏰ برای ثبت در زمان مشخص (به وقت تهران)، زمان را به عنوان بخش سوم اضافه کنید:\n" +
+              "<code>/announce عنوان | متن اطلاعیه | 2026-01-20 18:30</code>"
+            ),
+            { inline_keyboard: [[{ text: "❌ بستن", callback_data: "admin_close" }]] }
+          );
+          return;
+        }
+
+        if (cd === "admin_close") {
+          await deleteMessage(chatId, callback.message.message_id);
+          await clearUserState(userId);
+          return;
+        }
+
+        if (cd === "admin_menu") {
+          await clearUserState(userId);
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("🔐 پنل مدیریت RBI24", "برای مدیریت، یکی از گزینه‌های زیر را انتخاب کنید:"),
+            adminMenuKeyboard(adminRole)
+          );
+          return;
+        }
+
+        // پاسخ تیکت با دکمه
+        if (cd && cd.startsWith("admin_reply_ticket_")) {
+          const ticketId = cd.replace("admin_reply_ticket_", "");
+          await setUserStateFields(userId, { step: "awaiting_ticket_reply", tempData: ticketId });
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("✍️ پاسخ به تیکت",
+              `شماره تیکت: <code>${ticketId}</code>\n\nمتن پاسخ خود را تایپ کنید (یا عکس/فایل همراه کپشن)` +
+              "\nیا یکی از پاسخ‌های آماده را انتخاب کنید:"
+            ),
+            await ticketReplyKeyboard("admin_cancel_reply")
+          );
+          return;
+        }
+
+        // --- پاسخ‌های آماده ---
+        if (cd === "admin_canned") {
+          await handleAdminCannedResponses(chatId, callback.message.message_id);
+          return;
+        }
+
+        if (cd === "admin_canned_add") {
+          await setUserStateFields(userId, { step: "awaiting_canned_response", tempData: "" });
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("➕ پاسخ آماده جدید",
+              "عنوان و متن را به این شکل ارسال کنید:\n\n<code>عنوان | متن پاسخ</code>\n\n" +
+              "متن می‌تواند چند خطی باشد. placeholder های قابل استفاده:\n" +
+              Object.entries(CANNED_PLACEHOLDERS).map(([k, v]) => `<code>${k}</code> ${v}`).join("\n")
+            ),
+            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_canned" }]] }
+          );
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_canned_edit_")) {
+          const response = await getCannedResponse(cd.replace("admin_canned_edit_", ""));
+
+          if (!response) {
+            await handleAdminCannedResponses(chatId, callback.message.message_id, "❌ پاسخ آماده پیدا نشد.");
+            return;
+          }
+
+          await setUserStateFields(userId, { step: "awaiting_canned_edit", tempData: response.responseId });
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage(`✏️ ویرایش «${escapeHtml(response.title)}»`,
+              `متن فعلی (برای کپی):\n\n<code>${escapeHtml(`${response.title} | ${response.text}`)}</code>\n\n` +
+              "عنوان و متن جدید را به همین شکل ارسال کنید:\n<code>عنوان | متن پاسخ</code>"
+            ),
+            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_canned" }]] }
+          );
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_canned_rm_")) {
+          const response = await getCannedResponse(cd.replace("admin_canned_rm_", ""));
+
+          if (!response) {
+            await handleAdminCannedResponses(chatId, callback.message.message_id, "❌ پاسخ آماده پیدا نشد.");
+            return;
+          }
+
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("🗑 حذف پاسخ آماده", `پاسخ آماده «${escapeHtml(response.title)}» حذف شود؟`),
+            {
+              inline_keyboard: [
+                [{ text: "✅ بله، حذف شود", callback_data: `admin_canned_rmok_${response.responseId}` }],
+                [{ text: "↩️ انصراف", callback_data: "admin_canned" }]
+              ]
+            }
+          );
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_canned_rmok_")) {
+          const responseId = cd.replace("admin_canned_rmok_", "");
+          const removed = await deleteCannedResponse(responseId);
+          if (removed) await logAdminAction(userId, "canned_delete", responseId, "");
+          await handleAdminCannedResponses(chatId, callback.message.message_id,
+            removed ? "🗑 پاسخ آماده حذف شد." : "❌ پاسخ آماده پیدا نشد."
+          );
+          return;
+        }
+
+        // انتخاب پاسخ آماده در مرحله پاسخ تیکت: پیش‌نمایش قابل کپی برای ویرایش، یا ارسال مستقیم
+        const cannedMatch = cd && cd.match(/^admin_canned_(use|send)_(.+)$/);
+        if (cannedMatch) {
+          const st = await getUserState(userId);
+          const response = await getCannedResponse(cannedMatch[2]);
+          const ticket = st.step === "awaiting_ticket_reply" ? await getTicket(st.tempData || "") : null;
+
+          if (!ticket || !response) {
+            await sendMessage(chatId, formatMessage("خطا", "❌ تیکت یا پاسخ آماده پیدا نشد."));
+            return;
+          }
+
+          const rendered = await renderCannedResponse(response.text, ticket);
+
+          if (cannedMatch[1] === "send") {
+            await deleteMessage(chatId, callback.message.message_id);
+            await submitTicketReply(chatId, userId, ticket.ticketId, rendered);
+            return;
+          }
+
+          await sendMessage(chatId,
+            formatMessage(`💬 ${escapeHtml(response.title)}`,
+              `تیکت: <code>${ticket.ticketId}</code>\n\n<code>${escapeHtml(rendered)}</code>\n\n` +
+              "برای ویرایش، متن را کپی کنید، تغییر دهید و بفرستید؛ یا همین متن را ارسال کنید."
+            ),
+            {
+              inline_keyboard: [
+                [{ text: "✅ ارسال همین متن", callback_data: `admin_canned_send_${response.responseId}` }],
+                [{ text: "❌ لغو", callback_data: "admin_cancel_reply" }]
+              ]
+            }
+          );
+          return;
+        }
+
+        // --- مدیریت کاربر (/user) ---
+        const usrMatch = cd && cd.match(/^admin_usr_(view|msg|email|state|block|unblock)_(\d+)$/);
+        if (usrMatch) {
+          const [, action, targetId] = usrMatch;
+          const mid = callback.message.message_id;
+          const target = await getUserById(targetId);
+
+          if (!target) {
+            await sendMessage(chatId, formatMessage("خطا", "❌ کاربر پیدا نشد."));
+            return;
+          }
+
+          if (action === "msg") {
+            await setUserStateFields(userId, { step: "awaiting_user_direct_message", tempData: targetId });
+            await editMessageText(chatId, mid,
+              formatMessage("✉️ پیام به کاربر", `متن پیام برای کاربر <code>${targetId}</code> را بفرستید:`),
+              { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `admin_usr_view_${targetId}` }]] }
+            );
+            return;
+          }
+
+          let notice = "";
+          if (action === "view") {
+            await clearUserState(userId);
+          } else if (action === "email") {
+            await updateUserEmail(targetId, target.email, "No");
+            await logAdminAction(userId, "user_email_reset", targetId, target.email);
+            notice = "📧 تایید ایمیل کاربر ریست شد.";
+          } else if (action === "state") {
+            await clearUserState(targetId);
+            await logAdminAction(userId, "user_state_clear", targetId, "");
+            notice = "🧹 مرحله کاربر پاک شد.";
+          } else if (action === "block" && await getAdminRole(targetId)) {
+            notice = "⚠️ مدیران را نمی‌توان مسدود کرد.";
+          } else {
+            const block = action === "block";
+            await setUserBlocked(targetId, block);
+            await logAdminAction(userId, block ? "user_block" : "user_unblock", targetId, "");
+            notice = block ? "🚫 کاربر مسدود شد." : "✅ مسدودیت کاربر برداشته شد.";
+          }
+
+          await handleAdminUserView(chatId, mid, targetId, notice);
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_tkt_user_")) {
+          const targetId = cd.replace("admin_tkt_user_", "");
+          await handleAdminViewTickets(chatId, userId, callback.message.message_id, { status: "all", userId: targetId }, 0);
+          return;
+        }
+
+        // --- مرورگر تیکت: صفحه‌بندی و فیلترها ---
+        if (cd && (cd.startsWith("admin_tkt_pg_") || cd.startsWith("admin_tkt_f_"))) {
+          const browse = await getTicketBrowserState(userId);
+          const filters = browse.filters || {};
+          const mid = callback.message.message_id;
+
+          if (cd.startsWith("admin_tkt_pg_")) {
+            await handleAdminViewTickets(chatId, userId, mid, filters, Number(cd.replace("admin_tkt_pg_", "")) || 0);
+            return;
+          }
+
+          if (cd === "admin_tkt_f_status") {
+            const keys = Object.keys(TICKET_BROWSER_STATUS_FILTERS);
+            filters.status = keys[(keys.indexOf(filters.status || "open") + 1) % keys.length];
+            await handleAdminViewTickets(chatId, userId, mid, filters, 0);
+            return;
+          }
+
+          if (cd === "admin_tkt_f_reset") {
+            await handleAdminViewTickets(chatId, userId, mid, {}, 0);
+            return;
+          }
+
+          const prompts = {
+            userId: ["👤 فیلتر کاربر", "آیدی عددی کاربر را وارد کنید."],
+            email: ["📧 فیلتر ایمیل", "ایمیل یا بخشی از آن را وارد کنید."],
+            date: ["📅 تاریخ ثبت",
+              "بازه تاریخ ثبت تیکت را وارد کنید:\n<code>2026-01-01 2026-03-31</code>\n\n" +
+              "برای بازه یک‌طرفه به جای تاریخ <code>-</code> بگذارید:\n<code>2026-01-01 -</code>"]
+          };
+          const field = cd.replace("admin_tkt_f_", "");
+          if (!prompts[field]) return;
+
+          await setUserStateFields(userId, { step: "awaiting_ticket_filter", tempData: field });
+          await editMessageText(chatId, mid,
+            formatMessage(prompts[field][0], `${prompts[field][1]}\n\nبرای حذف این فیلتر فقط <code>-</code> بفرستید.`),
+            { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "admin_tkt_pg_0" }]] }
+          );
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_tkt_hist_")) {
+          const ticket = await getTicket(cd.replace("admin_tkt_hist_", ""));
+          if (ticket) await sendTicketHistory(chatId, ticket);
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_tkt_view_")) {
+          await handleAdminTicketView(chatId, callback.message.message_id, cd.replace("admin_tkt_view_", ""));
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_tkt_files_")) {
+          const ticket = await getTicket(cd.replace("admin_tkt_files_", ""));
+          if (ticket) {
+            for (const m of await getTicketThread(ticket)) {
+              await sendTicketAttachments(chatId, ticket.ticketId, m.attachments);
+            }
+          }
+          return;
+        }
+
+        const tktStatusMatch = cd && cd.match(/^admin_tkt_st_([A-Za-z]+)_(.+)$/);
+        if (tktStatusMatch && TICKET_STATUS_LABELS[tktStatusMatch[1]]) {
+          const ticket = await getTicket(tktStatusMatch[2]);
+
+          if (!ticket) {
+            await sendMessage(chatId, formatMessage("خطا", "❌ تیکت پیدا نشد."));
+            return;
+          }
+
+          if (ticket.status !== tktStatusMatch[1]) {
+            const from = ticket.status;
+            await setTicketStatus(ticket, tktStatusMatch[1]);
+            await logAdminAction(userId, "ticket_status", ticket.ticketId, `${from} → ${ticket.status}`);
+          }
+
+          await handleAdminTicketView(chatId, callback.message.message_id, ticket.ticketId);
+          return;
+        }
+
+        if (cd === "admin_cancel_reply") {
+          await clearUserState(userId);
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("پنل ادمین", "عملیات لغو شد."),
+            adminMenuKeyboard(adminRole)
+          );
+          return;
+        }
+
+        // تایید / رد درخواست سرمایه‌گذاری
+        if (cd && (cd.startsWith("admin_invest_approve_") || cd.startsWith("admin_invest_reject_"))) {
+          const approve = cd.startsWith("admin_invest_approve_");
+          const requestId = cd.replace(approve ? "admin_invest_approve_" : "admin_invest_reject_", "");
+          const req = await getInvestRequest(requestId);
+
+          if (!req) {
+            await sendMessage(chatId, formatMessage("خطا", "❌ درخواست پیدا نشد."));
+            return;
+          }
+
+          if (req.status !== "Pending") {
+            await sendMessage(chatId, formatMessage("⚠️ قبلاً بررسی شده",
+              `درخواست <code>${requestId}</code> قبلاً بررسی شده است.\n\nوضعیت فعلی: ${REQUEST_STATUS_LABELS[req.status] || req.status}`
+            ));
+            return;
+          }
+
+          await setInvestRequestStatus(req, approve ? "Approved" : "Rejected");
+          await notifyInvestRequestStatus(req);
+
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("💼 درخواست سرمایه‌گذاری",
+              `🔖 شناسه: <code>${requestId}</code>\n🆔 UserID: ${req.userId}\n\n${formatInvestSummary(req)}\n\n` +
+              `وضعیت: ${REQUEST_STATUS_LABELS[req.status]}\n` +
+              `اطلاع‌رسانی به کاربر: ${req.notified === "Yes" ? "✅" : "❌"}`
+            )
+          );
+          await logUserAction(req.userId, `invest_${req.status.toLowerCase()}`);
+          await logAdminAction(userId, `invest_${req.status.toLowerCase()}`, requestId, `UserID ${req.userId} | ${req.amount}`);
+          return;
+        }
+
+        // --- پیام‌های ارسال‌شده: حذف / ویرایش ---
+        if (cd === "admin_bc_nobuttons") {
+          const state = await getUserState(userId);
+          if (state.step !== "awaiting_broadcast_buttons") {
+            await deleteMessage(chatId, callback.message.message_id);
+            return;
+          }
+
+          await deleteMessage(chatId, callback.message.message_id);
+          await showBroadcastPreview(chatId, userId, parseJsonSafe(state.tempData, {}));
+          return;
+        }
+
+        if (cd === "admin_bc_test" || cd === "admin_bc_redo") {
+          const state = await getUserState(userId);
+          await deleteMessage(chatId, callback.message.message_id);
+          if (state.step !== "awaiting_broadcast_dispatch") return;
+
+          const draft = parseJsonSafe(state.tempData, {});
+          if (cd === "admin_bc_redo") {
+            await restartBroadcastDraft(chatId, userId, draft);
+            return;
+          }
+
+          const request = renderDraftRequest(draft, chatId);
+          await telegramRequest(request.method, request.payload);
+          await sendMessage(chatId, "🧪 پیام تست بالا برای شما ارسال شد.");
+          await sendBroadcastDraftControls(chatId, draft);
+          return;
+        }
+
+        if (cd === "admin_bc_send_now") {
+          const state = await getUserState(userId);
+          await deleteMessage(chatId, callback.message.message_id);
+          if (state.step !== "awaiting_broadcast_dispatch") return;
+
+          await clearUserState(userId);
+          await dispatchBroadcastDraft(chatId, parseJsonSafe(state.tempData, {}));
+          return;
+        }
+
+        if (cd === "admin_bc_schedule") {
+          const state = await getUserState(userId);
+          if (state.step !== "awaiting_broadcast_dispatch") {
+            await deleteMessage(chatId, callback.message.message_id);
+            return;
+          }
+
+          await setUserStateFields(userId, { step: "awaiting_schedule_time" });
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("⏰ زمان‌بندی ارسال", scheduleTimePrompt()),
+            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
+          );
+          return;
+        }
+
+        if (cd === "admin_sched_list") {
+          await handleAdminScheduleList(chatId, callback.message.message_id);
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_sched_view_")) {
+          await handleAdminScheduleView(chatId, callback.message.message_id, cd.replace("admin_sched_view_", ""));
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_sched_cancel_")) {
+          const scheduleId = cd.replace("admin_sched_cancel_", "");
+          const schedule = await getSchedule(scheduleId);
+
+          if (schedule && schedule.status === "Pending") {
+            schedule.status = "Cancelled";
+            await saveSchedule(schedule);
+            await logAdminAction(userId, "schedule_cancel", scheduleId, scheduleContentSummary(schedule));
+          }
+          await handleAdminScheduleView(chatId, callback.message.message_id, scheduleId);
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_sched_time_")) {
+          const scheduleId = cd.replace("admin_sched_time_", "");
+          await setUserStateFields(userId, { step: "awaiting_schedule_edit_time", tempData: scheduleId });
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("🕒 تغییر زمان ارسال", `شناسه: <code>${scheduleId}</code>\n\n` + scheduleTimePrompt()),
+            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
+          );
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_sched_edit_")) {
+          const scheduleId = cd.replace("admin_sched_edit_", "");
+          await setUserStateFields(userId, { step: "awaiting_schedule_edit_content", tempData: scheduleId });
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("✏️ تغییر محتوا",
+              `شناسه: <code>${scheduleId}</code>\n\n` +
+              "پیام جدید را ارسال کنید (متن یا مدیا).\n" +
+              "دکمه‌های لینک‌دار قبلی حفظ می‌شوند."
+            ),
+            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
+          );
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_bc_list_")) {
+          const page = Number(cd.replace("admin_bc_list_", "")) || 0;
+          await handleAdminBroadcastList(chatId, callback.message.message_id, page);
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_bc_view_")) {
+          await handleAdminBroadcastView(chatId, callback.message.message_id, cd.replace("admin_bc_view_", ""));
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_bc_del_")) {
+          const broadcastId = cd.replace("admin_bc_del_", "");
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("🗑 حذف پیام همگانی",
+              `آیا مطمئن هستید که پیام <code>${broadcastId}</code> از چت همه کاربران حذف شود؟\n\n` +
+              "⚠️ تلگرام فقط پیام‌های کمتر از ۴۸ ساعت را حذف می‌کند."
+            ),
+            {
+              inline_keyboard: [
+                [{ text: "✅ بله، حذف شود", callback_data: `admin_bc_delok_${broadcastId}` }],
+                [{ text: "↩️ انصراف", callback_data: `admin_bc_view_${broadcastId}` }]
+              ]
+            }
+          );
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_bc_delok_")) {
+          const broadcastId = cd.replace("admin_bc_delok_", "");
+          await deleteMessage(chatId, callback.message.message_id);
+          await recallBroadcast(chatId, broadcastId);
+          await logAdminAction(userId, "broadcast_recall", broadcastId, "");
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_bc_edit_")) {
+          const broadcastId = cd.replace("admin_bc_edit_", "");
+          if (!isBroadcastEditable(await getBroadcastJob(broadcastId))) {
+            await editMessageText(chatId, callback.message.message_id,
+              formatMessage("خطا", "❌ فقط پیام متنی قابل ویرایش است؛ این پیام را می‌توانید حذف کنید."),
+              { inline_keyboard: [[{ text: "↩️ بازگشت به لیست", callback_data: "admin_bc_list_0" }]] }
+            );
+            return;
+          }
+          await setUserStateFields(userId, { step: "awaiting_broadcast_edit_text", tempData: broadcastId });
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("✏️ ویرایش پیام همگانی",
+              `شناسه: <code>${broadcastId}</code>\n\nمتن جدید پیام را ارسال کنید.\n` +
+              "این متن در چت همه کاربرانی که پیام را دریافت کرده‌اند جایگزین می‌شود."
+            ),
+            { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
+          );
+          return;
+        }
+
+        if (cd === "admin_withdrawals") {
+          await handleAdminWithdrawals(chatId, callback.message.message_id, 0);
+          return;
+        }
+
+        if (cd && cd.startsWith("admin_wd_pg_")) {
+          await handleAdminWithdrawals(chatId, callback.message.message_id, Number(cd.replace("admin_wd_pg_", "")) || 0);
+          return;
+        }
+
+        // تایید / رد / پرداخت درخواست برداشت (شماره صفحه فقط در دکمه‌های صف وجود دارد)
+        const wdMatch = cd && cd.match(/^admin_wd_(approve|reject|paid)_(?:(\d+)_)?(.+)$/);
+        if (wdMatch) {
+          const action = WITHDRAW_ACTIONS[wdMatch[1]];
+          const page = Number(wdMatch[2]) || 0;
+          const requestId = wdMatch[3];
+          const req = await getWithdrawRequest(requestId);
+
+          if (!req) {
+            await sendMessage(chatId, formatMessage("خطا", "❌ درخواست پیدا نشد."));
+            return;
+          }
+
+          let notice;
+          if (!action.from.includes(req.status)) {
+            notice = `⚠️ درخواست <code>${requestId}</code> در وضعیت ${REQUEST_STATUS_LABELS[req.status] || req.status} است و این عملیات مجاز نیست.`;
+          } else {
+            await setWithdrawRequestStatus(req, action.to);
+            await notifyWithdrawRequestStatus(req);
+            notice =
+              `درخواست <code>${requestId}</code>: ${REQUEST_STATUS_LABELS[req.status]}\n` +
+              `اطلاع‌رسانی به کاربر: ${req.notified === "Yes" ? "✅" : "❌"}`;
+            await logUserAction(req.userId, `withdraw_${req.status.toLowerCase()}`);
+            await logAdminAction(userId, `withdraw_${req.status.toLowerCase()}`, requestId, `UserID ${req.userId} | ${req.amount}`);
+          }
+
+          await handleAdminWithdrawals(chatId, callback.message.message_id, page, notice);
+          return;
+        }
+      }
+
+      // --- BACK TO MAIN ---
+      if (cd === "back_to_main") {
+        await deleteMenuIfExists(userId, chatId, callback.message.message_id);
+        const mid = await sendMessage(chatId,
+          formatMessage("منوی اصلی RBI24", `سلام ${firstName} عزیز 👋\n\nلطفاً یکی از گزینه‌های زیر را انتخاب کنید:`),
+          mainMenuKeyboard()
+        );
+        if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
+        await logUserAction(userId, "back_to_main");
+        return;
+      }
+
+      if (cd === "back_to_main_send") {
+        await deleteMenuIfExists(userId, chatId);
+        const mid = await sendMessage(chatId,
+          formatMessage("منوی اصلی RBI24", `سلام ${firstName} عزیز 👋\n\nلطفاً یکی از گزینه‌های زیر را انتخاب کنید:`),
+          mainMenuKeyboard()
+        );
+        if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
+        return;
+      }
+
+      // --- آموزش‌های اولیه ---
+      if (cd === "edu_initial") {
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("📖 آموزش‌های اولیه",
+            "یکی از موضوعات آموزشی زیر را انتخاب کنید:"
+          ),
+          eduInitialKeyboard()
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        await logUserAction(userId, "opened_edu_initial");
+        return;
+      }
+
+      // --- درس‌های آموزشی ---
+      if (LESSON_TITLES[cd]) {
+        await sendLesson(chatId, callback.message.message_id, cd, LESSON_TITLES[cd]);
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        await logUserAction(userId, `viewed_${cd}`);
+        return;
+      }
+
+      // --- FAQ ---
+      if (cd === "faq_menu") {
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("❓ سوالات متداول", "یکی از دسته‌بندی‌های زیر را انتخاب کنید:"),
+          faqMenuKeyboard()
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        await logUserAction(userId, "opened_faq");
+        return;
+      }
+
+      if (cd === "faq_about_fund") {
+        const content =
+          "🏦 <b>صندوق سرمایه‌گذاری RBI24 چیست؟</b>\n" +
+          "یک صندوق آموزشی-سازمانی است که هدف آن استانداردسازی آموزش و رشد مرحله‌به‌مرحله اعضا می‌باشد.\n\n" +
+          "📌 <b>چه کسانی می‌توانند عضو شوند؟</b>\n" +
+          "هر فردی که قوانین و ساختار سازمانی را بپذیرد.\n\n" +
+          "📌 <b>آیا نیاز به سرمایه اولیه است؟</b>\n" +
+          "اطلاعات کامل در کانال‌های رسمی موجود است.";
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("درباره صندوق", content),
+          { inline_keyboard: [[{ text: "↩️ بازگشت به FAQ", callback_data: "faq_menu" }]] }
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        return;
+      }
 
       if (cd === "faq_profit") {
         const content =
-          "💰 <b>نحوه محاسبه سود چگونه است؟</b>\n" +
-          "جزئیات کامل در کانال رسمی آموزش‌ها موجود است.\n\n" +
-          "📌 <b>کمیسیون چیست؟</b>\n" +
-          "کمیسیون بر اساس ساختار سازمانی و رنک شما محاسبه می‌شود.\n\n" +
-          "📌 <b>زمان‌بندی پرداخت؟</b>\n" +
-          "اطلاعیه‌های رسمی از طریق کانال‌ها اعلام می‌شود.";
+          "💰 <b>نحوه محاسبه سود چگونه است؟</b>\n" +
+          "جزئیات کامل در کانال رسمی آموزش‌ها موجود است.\n\n" +
+          "📌 <b>کمیسیون چیست؟</b>\n" +
+          "کمیسیون بر اساس ساختار سازمانی و رنک شما محاسبه می‌شود.\n\n" +
+          "📌 <b>زمان‌بندی پرداخت؟</b>\n" +
+          "اطلاعیه‌های رسمی از طریق کانال‌ها اعلام می‌شود.";
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("سود و کمیسیون", content),
+          { inline_keyboard: [[{ text: "↩️ بازگشت به FAQ", callback_data: "faq_menu" }]] }
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        return;
+      }
+
+      if (cd === "faq_security") {
+        const content =
+          "🔒 <b>آیا اطلاعات من امن است؟</b>\n" +
+          "بله، اطلاعات شما فقط برای تایید هویت استفاده می‌شود.\n\n" +
+          "📌 <b>قوانین مهم:</b>\n" +
+          "• هیچ‌کس از طرف RBI24 رمز یا ولت شما را نمی‌خواهد\n" +
+          "• تراکنش‌ها فقط از طریق کانال رسمی اطلاع‌رسانی می‌شود\n" +
+          "• در صورت مشاهده رفتار مشکوک فوراً تیکت ارسال کنید";
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("امنیت و قوانین", content),
+          { inline_keyboard: [[{ text: "↩️ بازگشت به FAQ", callback_data: "faq_menu" }]] }
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        return;
+      }
+
+      if (cd === "faq_support") {
+        const content =
+          "📞 <b>چطور با پشتیبانی تماس بگیرم؟</b>\n\n" +
+          "🎫 ارسال تیکت از منوی پشتیبانی (توصیه می‌شود)\n\n" +
+          "📧 ایمیل: support@rbi24.com\n\n" +
+          "⏱ زمان پاسخ‌گویی: ۲۴ تا ۴۸ ساعت کاری";
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("پشتیبانی", content),
+          { inline_keyboard: [[{ text: "↩️ بازگشت به FAQ", callback_data: "faq_menu" }]] }
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        return;
+      }
+
+      // --- ABOUT ---
+      if (cd === "about_menu") {
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("ℹ️ درباره ما", "برای دریافت اطلاعات بیشتر، یکی از بخش‌ها را انتخاب کنید:"),
+          aboutMenuKeyboard()
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        await logUserAction(userId, "opened_about");
+        return;
+      }
+
+      if (cd === "about_mission") {
+        const content =
+          "🎯 <b>ماموریت ما:</b>\n\n" +
+          "سیستم آموزشی RBI24 با هدف:\n" +
+          "• استانداردسازی آموزش‌ها\n" +
+          "• کاهش خطای انسانی\n" +
+          "• یکسان‌سازی پیام‌ها\n" +
+          "• رشد مرحله‌به‌مرحله افراد\n\n" +
+          "طراحی شده است.";
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("ماموریت ما", content),
+          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "about_menu" }]] }
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        return;
+      }
+
+      if (cd === "about_structure") {
+        const content =
+          "🏗️ <b>ساختار سازمانی RBI24:</b>\n\n" +
+          "🔹 <b>Starter</b> — مرحله ورود و یادگیری پایه\n\n" +
+          "🔹 <b>Supporter</b> — مرحله اثرگذاری اولیه\n\n" +
+          "🔹 <b>Doer</b> — مرحله اجرا و مسئولیت‌پذیری\n\n" +
+          "🔹 <b>Advisor</b> — مرحله راهبری و هدایت\n\n" +
+          "📌 ارتقای رنک توسط تیم انسانی تعیین می‌شود.";
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("ساختار سازمانی", content),
+          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "about_menu" }]] }
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        return;
+      }
+
+      if (cd === "about_rules") {
+        const content =
+          "📜 <b>قوانین و مقررات مهم:</b>\n\n" +
+          "✅ رعایت ادب و احترام در تمام تعاملات\n" +
+          "✅ عدم اشتراک‌گذاری اطلاعات خصوصی\n" +
+          "✅ پیروی از دستورالعمل‌های رسمی\n" +
+          "✅ استفاده از کانال‌های رسمی برای دریافت اطلاعات\n\n" +
+          "❌ هرگونه فعالیت خارج از چارچوب مجاز نیست.";
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("قوانین و مقررات", content),
+          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "about_menu" }]] }
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        return;
+      }
+
+      if (cd === "about_channels") {
+        const content =
+          `📡 <b>کانال‌های رسمی RBI24:</b>\n\n` +
+          `🔹 Starter: ${CHANNELS.starter}\n` +
+          `🔹 Supporter: ${CHANNELS.supporter}\n` +
+          `🔹 Doer: ${CHANNELS.doer}\n` +
+          `🔹 Advisor: ${CHANNELS.advisor}\n\n` +
+          `⚠️ فقط این کانال‌ها رسمی هستند.\n` +
+          `در کانال‌های دیگر اطلاعات دریافت نکنید.`;
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("کانال‌های رسمی", content),
+          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "about_menu" }]] }
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        return;
+      }
+
+      // --- SUPPORT ---
+      if (cd === "support_menu") {
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("🛟 پشتیبانی RBI24", "ما همیشه کنار شما هستیم 💙\n\nیکی از گزینه‌ها را انتخاب کنید:"),
+          supportMenuKeyboard()
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        await logUserAction(userId, "opened_support");
+        return;
+      }
+
+      if (cd && cd.startsWith("my_tickets_")) {
+        await handleUserTickets(chatId, callback.message.message_id, userId, Number(cd.replace("my_tickets_", "")) || 0);
+        await logUserAction(userId, "opened_my_tickets");
+        return;
+      }
+
+      if (cd && cd.startsWith("my_ticket_")) {
+        await handleUserTicketView(chatId, callback.message.message_id, userId, cd.replace("my_ticket_", ""));
+        return;
+      }
+
+      if (cd === "support_email") {
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("📧 پشتیبانی ایمیلی",
+            "لطفاً با ایمیل زیر تماس بگیرید:\n\n<b>support@rbi24.com</b>\n\n⏱ زمان پاسخ: ۲۴ تا ۴۸ ساعت کاری"
+          ),
+          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "support_menu" }]] }
+        );
+        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
+        return;
+      }
+
+      // --- تایید ایمیل: ارسال مجدد کد / تغییر ایمیل ---
+      if (cd === "email_code_resend" || cd === "email_code_change") {
+        const st = await getUserState(userId);
+        const forTicket = st.step === "awaiting_ticket_email_code";
+        if (st.step !== "awaiting_email_code" && !forTicket) return;
+
+        if (cd === "email_code_change") {
+          await setUserStateFields(userId, { step: forTicket ? "awaiting_ticket_email" : "awaiting_email", tempData: "" });
+          await sendMessage(chatId,
+            formatMessage("تغییر ایمیل", "📧 لطفاً ایمیل جدید خود را وارد کنید:\n\n(مثال: example@domain.com)"),
+            forTicket ? { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "back_to_main_send" }]] } : undefined
+          );
+          return;
+        }
+
+        const sent = await sendEmailVerificationCode(userId, st.tempData || "");
+        await replyEmailCodeSent(chatId, st.tempData || "", sent, forTicket);
+        return;
+      }
+
+      if (cd === "support_ticket") {
+        const canSend = await canSendTicket(userId);
+        if (!canSend) {
+          await answerCallbackQuery(callback.id, "⚠️ حداکثر ۳ تیکت در ۲۴ ساعت مجاز است.");
+          return;
+        }
+
+        const userRec = await getUserById(userId);
+        await deleteMenuIfExists(userId, chatId);
+
+        if (userRec && userRec.email && userRec.emailConfirmed === "Yes") {
+          await askTicketCategory(chatId, userId, userRec.email);
+        } else {
+          await setUserStateFields(userId, { step: "awaiting_ticket_email", tempData: "" });
+          await sendMessage(chatId,
+            formatMessage("🎫 ارسال تیکت", "📧 لطفاً ایمیل خود را وارد کنید:\n(مثال: example@domain.com)"),
+            { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "back_to_main_send" }]] }
+          );
+        }
+        await logUserAction(userId, "started_ticket");
+        return;
+      }
+
+      // --- انتخاب موضوع تیکت ---
+      if (cd && cd.startsWith("ticket_cat_")) {
+        const category = cd.replace("ticket_cat_", "");
+        const st = await getUserState(userId);
+
+        if (st.step !== "awaiting_ticket_category" || !TICKET_CATEGORIES[category]) {
+          await deleteMessage(chatId, callback.message.message_id);
+          return;
+        }
+
+        await setUserStateFields(userId, {
+          step: "awaiting_ticket_message",
+          tempData: JSON.stringify({ email: st.tempData || "", category })
+        });
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("🎫 ارسال تیکت",
+            `موضوع: ${TICKET_CATEGORIES[category].label}\n\n` +
+            "لطفاً پیام تیکت خود را وارد کنید:\n" +
+            "📎 می‌توانید اسکرین‌شات یا فایل را همراه توضیح (کپشن) ارسال کنید.\n\n" +
+            "(ایمیل ثبت‌شده شما به‌صورت خودکار ضمیمه می‌شود)"
+          ),
+          { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "back_to_main_send" }]] }
+        );
+        return;
+      }
+
+      // --- امتیاز به پاسخ تیکت (CSAT) ---
+      const rateMatch = cd && cd.match(/^ticket_rate_([1-5])_(.+)$/);
+      if (rateMatch) {
+        const rating = Number(rateMatch[1]);
+        const answer = await getTicketMessage(rateMatch[2]);
+        const ticket = answer && answer.sender === "admin" ? await getTicket(answer.ticketId) : null;
+
+        if (!ticket || ticket.userId !== String(userId)) {
+          await sendMessage(chatId, formatMessage("خطا", "❌ تیکت پیدا نشد."));
+          return;
+        }
+
+        await rateTicketAnswer(answer, rating);
+        await telegramCall("editMessageReplyMarkup", {
+          chat_id: String(chatId),
+          message_id: callback.message.message_id,
+          reply_markup: userTicketKeyboard(ticket)
+        });
+        await sendMessage(chatId,
+          formatMessage("🙏 سپاس از امتیاز شما",
+            `امتیاز شما به تیکت <code>${ticket.ticketId}</code>: ${"⭐️".repeat(rating)}\n\n` +
+            "در صورت تمایل، نظر خود را هم بنویسید."
+          ),
+          {
+            inline_keyboard: [
+              [{ text: "💬 ثبت نظر", callback_data: `ticket_rcomment_${answer.messageId}` }],
+              [{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]
+            ]
+          }
+        );
+        await logUserAction(userId, `ticket_rated_${rating}`);
+        return;
+      }
+
+      if (cd && cd.startsWith("ticket_rcomment_")) {
+        const targetId = cd.replace("ticket_rcomment_", "");
+        const answer = await getTicketMessage(targetId);
+        const ticket = answer && answer.rating ? await getTicket(answer.ticketId) : null;
+
+        if (!ticket || ticket.userId !== String(userId)) {
+          await sendMessage(chatId, formatMessage("خطا", "❌ تیکت پیدا نشد."));
+          return;
+        }
+
+        await setUserStateFields(userId, { step: "awaiting_ticket_rating_comment", tempData: targetId });
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("💬 ثبت نظر", `نظر خود درباره پاسخ تیکت <code>${ticket.ticketId}</code> را بنویسید:`),
+          { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "back_to_main_send" }]] }
+        );
+        return;
+      }
+
+      // --- پاسخ / بستن تیکت توسط کاربر ---
+      const userTicketMatch = cd && cd.match(/^ticket_(reply|close)_(.+)$/);
+      if (userTicketMatch) {
+        const ticket = await getTicket(userTicketMatch[2]);
+
+        if (!ticket || ticket.userId !== String(userId)) {
+          await sendMessage(chatId, formatMessage("خطا", "❌ تیکت پیدا نشد."));
+          return;
+        }
+
+        if (ticket.status === "Closed") {
+          await sendMessage(chatId,
+            formatMessage("🔒 تیکت بسته است",
+              `تیکت <code>${ticket.ticketId}</code> بسته شده است.\nبرای موضوع جدید، تیکت جدید ثبت کنید.`
+            ),
+            { inline_keyboard: [[{ text: "🎫 ارسال تیکت", callback_data: "support_ticket" }]] }
+          );
+          return;
+        }
+
+        if (userTicketMatch[1] === "close") {
+          ticket.status = "Closed";
+          await saveTicket(ticket);
+          await sendMessage(chatId,
+            formatMessage("🔒 تیکت بسته شد", `تیکت <code>${ticket.ticketId}</code> بسته شد. از همراهی شما سپاسگزاریم 💙`),
+            { inline_keyboard: [[{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]] }
+          );
+          await logUserAction(userId, "ticket_closed");
+          return;
+        }
+
+        await setUserStateFields(userId, { step: "awaiting_ticket_followup", tempData: ticket.ticketId });
+        await sendMessage(chatId,
+          formatMessage("✍️ پاسخ به تیکت",
+            `شماره تیکت: <code>${ticket.ticketId}</code>\n\nپیام خود را وارد کنید (متن، عکس یا فایل):`
+          ),
+          { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "back_to_main_send" }]] }
+        );
+        return;
+      }
+
+      // --- درخواست سرمایه‌گذاری ---
+      if (cd === "invest_start") {
+        const userRec = await getUserById(userId);
+
+        if (!userRec || !userRec.email || userRec.emailConfirmed !== "Yes") {
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("💼 درخواست سرمایه‌گذاری",
+              "⚠️ برای ثبت درخواست ابتدا باید ایمیل خود را ثبت کنید.\n\nلطفاً دستور /start را ارسال کنید."
+            ),
+            { inline_keyboard: [[{ text: "↩️ بازگشت به منوی اصلی", callback_data: "back_to_main" }]] }
+          );
+          return;
+        }
+
+        await deleteMenuIfExists(userId, chatId);
+        await setUserStateFields(userId, {
+          step: "awaiting_invest_fullname",
+          tempData: JSON.stringify({ email: userRec.email })
+        });
+        await sendMessage(chatId,
+          formatMessage("💼 درخواست سرمایه‌گذاری",
+            "مرحله ۱ از ۴\n\n📛 لطفاً <b>نام و نام خانوادگی</b> خود را وارد کنید:"
+          ),
+          { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "invest_cancel" }]] }
+        );
+        await logUserAction(userId, "started_invest_request");
+        return;
+      }
+
+      if (cd && cd.startsWith("invest_duration_")) {
+        const state = await getUserState(userId);
+        const duration = cd.replace("invest_duration_", "");
+
+        if (state.step !== "awaiting_invest_duration" || !INVEST_DURATIONS.includes(duration)) {
+          await deleteMessage(chatId, callback.message.message_id);
+          return;
+        }
+
+        const draft = parseJsonSafe(state.tempData, {});
+        draft.duration = duration;
+        await setUserStateFields(userId, { step: "awaiting_invest_txhash", tempData: JSON.stringify(draft) });
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("💼 درخواست سرمایه‌گذاری",
+            `مدت قرارداد: <b>${duration} ماه</b>\n\n` +
+            "مرحله ۴ از ۴\n\n🔗 لطفاً <b>TxHash</b> تراکنش واریزی خود را وارد کنید:"
+          ),
+          { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "invest_cancel" }]] }
+        );
+        return;
+      }
+
+      if (cd === "invest_confirm") {
+        const state = await getUserState(userId);
+
+        if (state.step !== "awaiting_invest_confirm") {
+          await deleteMessage(chatId, callback.message.message_id);
+          return;
+        }
+
+        const draft = parseJsonSafe(state.tempData, {});
+        const req = await createInvestRequest(userId, draft);
+        await clearUserState(userId);
+
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("✅ درخواست ثبت شد",
+            `درخواست سرمایه‌گذاری شما ثبت شد و پس از بررسی نتیجه اعلام می‌شود.\n\n🔖 شناسه درخواست: <code>${req.requestId}</code>`
+          ),
+          { inline_keyboard: [[{ text: "↩️ بازگشت به منوی اصلی", callback_data: "back_to_main_send" }]] }
+        );
+
+        await notifyAdminNewInvestRequest(req, firstName, username);
+        await logUserAction(userId, "invest_request_submitted");
+        return;
+      }
+
+      if (cd === "invest_cancel") {
+        await clearUserState(userId);
+        await deleteMessage(chatId, callback.message.message_id);
+        const mid = await sendMessage(chatId,
+          formatMessage("منوی اصلی RBI24", "درخواست سرمایه‌گذاری لغو شد.\n\nلطفاً یکی از گزینه‌های زیر را انتخاب کنید:"),
+          mainMenuKeyboard()
+        );
+        if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
+        return;
+      }
+
+      // --- درخواست برداشت ---
+      if (cd === "withdraw_start") {
+        const userRec = await getUserById(userId);
+
+        if (!userRec || !userRec.email || userRec.emailConfirmed !== "Yes") {
+          await editMessageText(chatId, callback.message.message_id,
+            formatMessage("🏧 درخواست برداشت",
+              "⚠️ برای ثبت درخواست ابتدا باید ایمیل خود را ثبت کنید.\n\nلطفاً دستور /start را ارسال کنید."
+            ),
+            { inline_keyboard: [[{ text: "↩️ بازگشت به منوی اصلی", callback_data: "back_to_main" }]] }
+          );
+          return;
+        }
+
+        await deleteMenuIfExists(userId, chatId);
+        await setUserStateFields(userId, {
+          step: "awaiting_withdraw_fullname",
+          tempData: JSON.stringify({ email: userRec.email })
+        });
+        await sendMessage(chatId,
+          formatMessage("🏧 درخواست برداشت",
+            "مرحله ۱ از ۴\n\n📛 لطفاً <b>نام و نام خانوادگی</b> خود را وارد کنید:"
+          ),
+          { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "withdraw_cancel" }]] }
+        );
+        await logUserAction(userId, "started_withdraw_request");
+        return;
+      }
+
+      if (cd && cd.startsWith("withdraw_network_")) {
+        const state = await getUserState(userId);
+        const network = cd.replace("withdraw_network_", "");
+
+        if (state.step !== "awaiting_withdraw_network" || !WITHDRAW_NETWORKS[network]) {
+          await deleteMessage(chatId, callback.message.message_id);
+          return;
+        }
+
+        const draft = parseJsonSafe(state.tempData, {});
+        draft.network = network;
+        await setUserStateFields(userId, { step: "awaiting_withdraw_wallet", tempData: JSON.stringify(draft) });
         await editMessageText(chatId, callback.message.message_id,
-          formatMessage("سود و کمیسیون", content),
-          { inline_keyboard: [[{ text: "↩️ بازگشت به FAQ", callback_data: "faq_menu" }]] }
+          formatMessage("🏧 درخواست برداشت",
+            `شبکه: <b>${WITHDRAW_NETWORKS[network].label}</b>\n\n` +
+            `مرحله ۴ از ۴\n\n👛 لطفاً <b>آدرس ولت</b> مقصد را در شبکه ${network} وارد کنید:\n\n` +
+            `(آدرس با <code>${WITHDRAW_NETWORKS[network].example}</code> شروع می‌شود)`
+          ),
+          { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "withdraw_cancel" }]] }
+        );
+        return;
+      }
+
+      if (cd === "withdraw_confirm") {
+        const state = await getUserState(userId);
+
+        if (state.step !== "awaiting_withdraw_confirm") {
+          await deleteMessage(chatId, callback.message.message_id);
+          return;
+        }
+
+        const draft = parseJsonSafe(state.tempData, {});
+        const req = await createWithdrawRequest(userId, draft);
+        await clearUserState(userId);
+
+        await editMessageText(chatId, callback.message.message_id,
+          formatMessage("✅ درخواست ثبت شد",
+            `درخواست برداشت شما ثبت شد و پس از بررسی نتیجه اعلام می‌شود.\n\n🔖 شناسه درخواست: <code>${req.requestId}</code>`
+          ),
+          { inline_keyboard: [[{ text: "↩️ بازگشت به منوی اصلی", callback_data: "back_to_main_send" }]] }
+        );
+
+        await notifyAdminNewWithdrawRequest(req, firstName, username);
+        await logUserAction(userId, "withdraw_request_submitted");
+        return;
+      }
+
+      if (cd === "withdraw_cancel") {
+        await clearUserState(userId);
+        await deleteMessage(chatId, callback.message.message_id);
+        const mid = await sendMessage(chatId,
+          formatMessage("منوی اصلی RBI24", "درخواست برداشت لغو شد.\n\nلطفاً یکی از گزینه‌های زیر را انتخاب کنید:"),
+          mainMenuKeyboard()
+        );
+        if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
+        return;
+      }
+
+      return;
+    } // end if (callback)
+
+
+    // ========================================
+    // TEXT MESSAGE HANDLERS
+    // ========================================
+    
+    const state = await getUserState(userId);
+    const step = state.step || "";
+
+    //// --- ADMIN: /admin command ---
+    if (adminRole && text === "/admin") {
+      await deleteMenuIfExists(userId, chatId);
+      const mid = await sendMessage(chatId,
+        formatMessage("🔐 پنل مدیریت RBI24",
+          `👋 خوش آمدید\n\n` +
+          `🕐 ${getNow()}\n\n` +
+          `برای مدیریت، یکی از گزینه‌های زیر را انتخاب کنید:`
+        ),
+        adminMenuKeyboard(adminRole)
+      );
+      if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
+      return;
+    }
+
+    // --- ADMIN: /announce ---
+    if (roleCan(adminRole, "announcements") && text && text.startsWith("/announce ")) {
+      const parts = text.replace("/announce ", "").split("|");
+      const title = (parts[0] || "").trim();
+      const msg = (parts[1] || "").trim();
+      const when = (parts[2] || "").trim();
+
+      if (!title || !msg) {
+        await sendMessage(chatId, formatMessage("خطا",
+          "فرمت صحیح:\n<code>/announce عنوان | متن اطلاعیه</code>"
+        ));
+        return;
+      }
+
+      if (when) {
+        const runAt = parseTehranDateTime(when);
+        if (!runAt || runAt.getTime() <= Date.now()) {
+          await sendMessage(chatId, formatMessage("خطا", "❌ " + scheduleTimePrompt()));
+          return;
+        }
+
+        const schedule = await createSchedule("announcement", { kind: "text", title, text: msg }, null, runAt, chatId);
+        await sendMessage(chatId, formatMessage("⏰ اطلاعیه زمان‌بندی شد",
+          `عنوان: ${title}\n\nمتن: ${msg}\n\n🗓 ${schedule.runAt} (تهران)`
+        ));
+        return;
+      }
+
+      const id = `ANN_${Date.now()}`;
+      await appendRow("Announcements", [id, title, msg, getNow(), "Yes"]);
+      await logAdminAction(userId, "announcement_create", id, `${title}: ${msg}`);
+      await sendMessage(chatId, formatMessage("✅ اطلاعیه ثبت شد",
+        `عنوان: ${title}\n\nمتن: ${msg}`
+      ));
+      return;
+    }
+
+    // --- OWNER: /addadmin USER_ID ROLE [NAME] ---
+    if (roleCan(adminRole, "admins") && text && text.startsWith("/addadmin")) {
+      const [, targetId, role, ...nameParts] = text.split(/\s+/);
+
+      if (!/^\d+$/.test(targetId || "") || !ADMIN_ROLES[role]) {
+        await sendMessage(chatId, formatMessage("خطا",
+          "فرمت صحیح:\n<code>/addadmin USER_ID ROLE [NAME]</code>\n\n" +
+          `نقش‌ها: ${Object.keys(ADMIN_ROLES).map(r => `<code>${r}</code>`).join("، ")}`
+        ));
+        return;
+      }
+
+      if (String(targetId) === String(ADMIN_CHAT_ID)) {
+        await sendMessage(chatId, formatMessage("خطا", "❌ نقش مالک اصلی (ADMIN_CHAT_ID) قابل تغییر نیست."));
+        return;
+      }
+
+      await setAdmin(targetId, role, nameParts.join(" "), userId);
+      await logAdminAction(userId, "admin_set", targetId, `${role} ${nameParts.join(" ")}`);
+
+      // اگر کاربر هنوز ربات را استارت نکرده باشد تلگرام اجازه پیام نمی‌دهد؛ فقط به مالک اطلاع داده می‌شود
+      const notified = await telegramRequest('sendMessage', {
+        chat_id: String(targetId),
+        text: formatMessage("🔐 دسترسی مدیریت",
+          `شما با نقش ${ADMIN_ROLES[role].label} به مدیران RBI24 اضافه شدید.\n\nبرای ورود به پنل: /admin`
+        ),
+        parse_mode: 'HTML'
+      });
+      await sendMessage(chatId, formatMessage("✅ مدیر ثبت شد",
+        `🆔 <code>${targetId}</code>\nنقش: ${ADMIN_ROLES[role].label}` +
+        (notified.ok ? "" : "\n\n⚠️ پیام اطلاع‌رسانی به این کاربر نرسید (احتمالاً هنوز ربات را استارت نکرده است).")
+      ));
+      return;
+    }
+
+    // --- OWNER: /removeadmin USER_ID ---
+    if (roleCan(adminRole, "admins") && text && text.startsWith("/removeadmin")) {
+      const targetId = text.split(/\s+/)[1] || "";
+
+      if (String(targetId) === String(ADMIN_CHAT_ID)) {
+        await sendMessage(chatId, formatMessage("خطا", "❌ مالک اصلی (ADMIN_CHAT_ID) قابل حذف نیست."));
+        return;
+      }
+
+      const removed = await removeAdmin(targetId);
+      if (removed) {
+        await clearUserState(targetId);
+        await logAdminAction(userId, "admin_remove", targetId, "");
+      }
+      await sendMessage(chatId, removed
+        ? formatMessage("✅ مدیر حذف شد", `🆔 <code>${escapeHtml(targetId)}</code>`)
+        : formatMessage("خطا", "❌ مدیری با این شناسه پیدا نشد.\n\nفرمت صحیح:\n<code>/removeadmin USER_ID</code>")
+      );
+      return;
+    }
+
+    // --- ADMIN: Broadcast / Filtered Broadcast - دریافت محتوا (متن یا مدیا) ---
+    if (roleCan(adminRole, "broadcast") &&
+        (step === "awaiting_broadcast_message" || step === "awaiting_filtered_message")) {
+      const draft = parseJsonSafe(state.tempData, {});
+      draft.content = extractBroadcastContent(message);
+
+      if (!draft.content) {
+        await sendMessage(chatId, formatMessage("خطا", UNSUPPORTED_BROADCAST_MESSAGE));
+        return;
+      }
+
+      await setUserStateFields(userId, { step: "awaiting_broadcast_buttons", tempData: JSON.stringify(draft) });
+      await sendMessage(chatId,
+        formatMessage("🔗 دکمه‌های پیام",
+          "در صورت نیاز، دکمه‌های لینک‌دار را ارسال کنید (هر دکمه در یک خط):\n\n" +
+          "<code>متن دکمه | https://example.com</code>\n\n" +
+          "در غیر این صورت «بدون دکمه» را بزنید."
+        ),
+        {
+          inline_keyboard: [
+            [{ text: "➡️ بدون دکمه", callback_data: "admin_bc_nobuttons" }],
+            [{ text: "❌ لغو", callback_data: "admin_close" }]
+          ]
+        }
+      );
+      return;
+    }
+
+    // --- ADMIN: Broadcast buttons ---
+    if (roleCan(adminRole, "broadcast") && step === "awaiting_broadcast_buttons" && text) {
+      const parsed = parseBroadcastButtons(text);
+
+      if (parsed.error) {
+        await sendMessage(chatId, formatMessage("فرمت نامعتبر",
+          `❌ ${parsed.error}\n\nفرمت صحیح:\n<code>متن دکمه | https://example.com</code>`
+        ));
+        return;
+      }
+
+      const draft = parseJsonSafe(state.tempData, {});
+      draft.content.buttons = parsed.buttons;
+      await showBroadcastPreview(chatId, userId, draft);
+      return;
+    }
+
+    // --- ADMIN: Schedule time for a new broadcast draft ---
+    if (roleCan(adminRole, "broadcast") && step === "awaiting_schedule_time" && text) {
+      const runAt = parseTehranDateTime(text);
+
+      if (!runAt || runAt.getTime() <= Date.now()) {
+        await sendMessage(chatId, formatMessage("زمان نامعتبر", "❌ " + scheduleTimePrompt()));
+        return;
+      }
+
+      const draft = parseJsonSafe(state.tempData, {});
+      const audience = broadcastAudience(draft);
+      const type = audience ? "filtered" : "all";
+      const schedule = await createSchedule(type, draft.content, audience, runAt, chatId);
+      await clearUserState(userId);
+
+      await sendMessage(chatId,
+        formatMessage("⏰ زمان‌بندی شد",
+          `${SCHEDULE_TYPE_LABELS[type]}\n🆔 <code>${schedule.scheduleId}</code>\n🗓 ${schedule.runAt} (تهران)`
+        ),
+        { inline_keyboard: [[{ text: "⏰ ارسال‌های زمان‌بندی‌شده", callback_data: "admin_sched_list" }]] }
+      );
+      return;
+    }
+
+    // --- ADMIN: Edit scheduled time ---
+    if (roleCan(adminRole, "broadcast") && step === "awaiting_schedule_edit_time" && text) {
+      const runAt = parseTehranDateTime(text);
+
+      if (!runAt || runAt.getTime() <= Date.now()) {
+        await sendMessage(chatId, formatMessage("زمان نامعتبر", "❌ " + scheduleTimePrompt()));
+        return;
+      }
+
+      await clearUserState(userId);
+      await updatePendingSchedule(chatId, state.tempData, s => { s.runAt = formatTehranDateTime(runAt); });
+      return;
+    }
+
+    // --- ADMIN: Edit scheduled content ---
+    if (roleCan(adminRole, "broadcast") && step === "awaiting_schedule_edit_content") {
+      const schedule = await getSchedule(state.tempData || "");
+      const content = extractBroadcastContent(message);
+
+      if (schedule && schedule.type === "announcement" && !text) {
+        await sendMessage(chatId, formatMessage("خطا", "❌ متن اطلاعیه باید به صورت متنی ارسال شود."));
+        return;
+      }
+
+      if (schedule && schedule.type !== "announcement" && !content) {
+        await sendMessage(chatId, formatMessage("خطا", UNSUPPORTED_BROADCAST_MESSAGE));
+        return;
+      }
+
+      await clearUserState(userId);
+      await updatePendingSchedule(chatId, state.tempData, s => {
+        if (s.type === "announcement") {
+          s.content.text = text;
+          return;
+        }
+        const buttons = s.content.buttons;
+        s.content = content;
+        if (buttons) s.content.buttons = buttons;
+      });
+      return;
+    }
+
+    // --- ADMIN: Edit sent broadcast everywhere ---
+    if (roleCan(adminRole, "broadcast") && step === "awaiting_broadcast_edit_text" && text) {
+      const broadcastId = state.tempData || "";
+      await clearUserState(userId);
+      await editBroadcastEverywhere(chatId, broadcastId, text);
+      await logAdminAction(userId, "broadcast_edit", broadcastId, text);
+      return;
+    }
+
+    // --- ADMIN: Segment builder - بازه تاریخ عضویت ---
+    if (roleCan(adminRole, "broadcast") && step === "awaiting_segment_joined" && text) {
+      const filters = parseJsonSafe(state.tempData, {}).filters || {};
+      const parts = normalizeDigits(text).trim().split(/\s+/);
+      const from = parts[0] === "-" ? "" : parts[0];
+      const to = !parts[1] || parts[1] === "-" ? "" : parts[1];
+
+      if ((from && !isValidDateOnly(from)) || (to && !isValidDateOnly(to)) || (from && to && from > to)) {
+        await sendMessage(chatId, formatMessage("فرمت نامعتبر",
+          "❌ تاریخ‌ها را به شکل <code>2026-01-01 2026-03-31</code> وارد کنید."
+        ));
+        return;
+      }
+
+      delete filters.joinedFrom;
+      delete filters.joinedTo;
+      if (from) filters.joinedFrom = from;
+      if (to) filters.joinedTo = to;
+      await handleAdminSegmentBuilder(chatId, userId, null, filters);
+      return;
+    }
+
+    // --- ADMIN: Segment builder - فعال/غیرفعال در N روز ---
+    if (roleCan(adminRole, "broadcast") && step === "awaiting_segment_days" && text) {
+      const { filters = {}, field } = parseJsonSafe(state.tempData, {});
+      const days = normalizeDigits(text).trim();
+
+      if (!/^\d{1,4}$/.test(days)) {
+        await sendMessage(chatId, formatMessage("فرمت نامعتبر", "❌ لطفاً فقط یک عدد وارد کنید."));
+        return;
+      }
+
+      if (Number(days) > 0) filters[field] = Number(days);
+      else delete filters[field];
+      await handleAdminSegmentBuilder(chatId, userId, null, filters);
+      return;
+    }
+
+    // --- ADMIN: Segment builder - ذخیره با نام ---
+    if (roleCan(adminRole, "broadcast") && step === "awaiting_segment_name" && text) {
+      const filters = parseJsonSafe(state.tempData, {}).filters || {};
+      const name = text.substring(0, 50);
+
+      await saveSegment(name, filters);
+      await handleAdminSegmentBuilder(chatId, userId, null, filters, `💾 سگمنت «${escapeHtml(name)}» ذخیره شد.`);
+      return;
+    }
+
+    // --- ADMIN: Filtered Broadcast - دریافت لیست ID ها ---
+    if (roleCan(adminRole, "broadcast") && step === "awaiting_filtered_ids" && text) {
+      // پارس کردن ID ها (با خط جدید یا کاما)
+      const rawIds = text.replace(/,/g, "\n").split("\n")
+        .map(s => s.trim())
+        .filter(s => s.length > 0);
+
+      if (rawIds.length === 0) {
+        await sendMessage(chatId, formatMessage("خطا", "❌ هیچ ID معتبری یافت نشد."));
+        await clearUserState(userId);
+        return;
+      }
+
+      await setUserStateFields(userId, {
+        step: "awaiting_filtered_message",
+        tempData: JSON.stringify({ targetIds: rawIds })
+      });
+
+      await sendMessage(chatId,
+        formatMessage("🎯 پیام فیلتر شده",
+          `✅ ${rawIds.length} کاربر انتخاب شد.\n\nحالا پیام (متن یا مدیا) را ارسال کنید:`
+        ),
+        { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
+      );
+      return;
+    }
+
+    // --- /START ---
+    if (text === "/start") {
+      await deleteMenuIfExists(userId, chatId);
+      const user = await getUserById(userId);
+
+      if (user && user.email && user.emailConfirmed === "Yes") {
+        const mid = await sendMessage(chatId, 
+          formatMessage("خوش آمدید به RBI24", `سلام ${firstName} عزیز 👋\n\nلطفاً یکی از گزینه‌های زیر را انتخاب کنید:`), 
+          mainMenuKeyboard()
+        );
+        if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
+        await logUserAction(userId, "start_command");
+      } else {
+        await setUserStateFields(userId, { step: "awaiting_email", tempData: "" });
+        await sendMessage(chatId, 
+          formatMessage("خوش آمدید", "🌟 سلام! برای شروع، لطفاً ایمیل خود را وارد کنید:\n\n(مثال: example@domain.com)")
+        );
+        await logUserAction(userId, "start_new_user");
+      }
+      
+      return;
+    }
+
+    // --- EMAIL REGISTRATION (Step 1 - Address) ---
+    // awaiting_email_1/2 مراحل قدیمی هستند (برای کاربرانی که وسط ثبت‌نام مانده‌اند)
+    if ((step === "awaiting_email" || step === "awaiting_email_1" || step === "awaiting_email_2") && text) {
+      if (!isValidEmail(text)) {
+        await sendMessage(chatId, 
+          formatMessage("ایمیل نامعتبر", "❌ لطفاً یک ایمیل معتبر وارد کنید:\n\n(مثال: example@domain.com)")
+        );
+        return;
+      }
+      
+      const users = await readSheet("Users");
+      const exists = users.find((r, i) => 
+        i > 0 && 
+        String(r[4] || "").toLowerCase() === text.toLowerCase() && 
+        String(r[0]) !== String(userId)
+      );
+      
+      if (exists) {
+        await sendMessage(chatId, 
+          formatMessage("ایمیل تکراری", "❌ این ایمیل قبلاً توسط کاربر دیگری ثبت شده است.\n\nلطفاً ایمیل دیگری وارد کنید:")
+        );
+        return;
+      }
+      
+      // بدون SMTP کدی به دست کاربر نمی‌رسد؛ ایمیل مثل قبل بدون کد تایید ثبت می‌شود
+      if (!SMTP_HOST) {
+        await completeEmailRegistration(chatId, userId, firstName, lastName, username, text);
+        return;
+      }
+
+      // در cooldown هم کد قبلی معتبر است؛ مرحله جلو می‌رود تا «ارسال مجدد کد» کار کند
+      const sent = await sendEmailVerificationCode(userId, text);
+      if (sent.ok || sent.error === "cooldown") await setUserStateFields(userId, { step: "awaiting_email_code", tempData: text });
+      await replyEmailCodeSent(chatId, text, sent, false);
+      return;
+    }
+
+    // --- EMAIL REGISTRATION (Step 2 - Code) ---
+    if (step === "awaiting_email_code" && text) {
+      const firstEmail = state.tempData || "";
+      const check = await verifyEmailCode(userId, firstEmail, text);
+
+      if (check.result !== "ok") {
+        await replyEmailCodeError(chatId, check, false);
+        return;
+      }
+
+      await completeEmailRegistration(chatId, userId, firstName, lastName, username, firstEmail);
+      return;
+    }
+
+    // Continue in next part...
+
+    // --- TICKET: Email Step 1 (Address) ---
+    if ((step === "awaiting_ticket_email" || step === "awaiting_ticket_email_1" || step === "awaiting_ticket_email_2") && text) {
+      if (!isValidEmail(text)) {
+        await sendMessage(chatId,
+          formatMessage("ایمیل نامعتبر", "❌ لطفاً یک ایمیل معتبر وارد کنید:\n\n(مثال: example@domain.com)")
+        );
+        return;
+      }
+
+      if (!SMTP_HOST) {
+        await askTicketCategory(chatId, userId, text);
+        return;
+      }
+
+      const sent = await sendEmailVerificationCode(userId, text);
+      if (sent.ok || sent.error === "cooldown") await setUserStateFields(userId, { step: "awaiting_ticket_email_code", tempData: text });
+      await replyEmailCodeSent(chatId, text, sent, true);
+      return;
+    }
+
+    // --- TICKET: Email Step 2 (Code) ---
+    if (step === "awaiting_ticket_email_code" && text) {
+      const firstEmail = state.tempData || "";
+      const check = await verifyEmailCode(userId, firstEmail, text);
+
+      if (check.result !== "ok") {
+        await replyEmailCodeError(chatId, check, true);
+        return;
+      }
+
+      await askTicketCategory(chatId, userId, firstEmail);
+      return;
+    }
+
+    // --- TICKET: Message (متن، یا عکس/فایل همراه کپشن) ---
+    if (step === "awaiting_ticket_message" && message) {
+      const attachments = extractTicketAttachments(message);
+      const body = text || (message.caption || "").trim();
+
+      if (!body && !attachments.length) {
+        await sendMessage(chatId, formatMessage("پیام نامعتبر", "❌ لطفاً متن، عکس یا فایل ارسال کنید."));
+        return;
+      }
+
+      const { email = "", category = "other" } = parseJsonSafe(state.tempData, { email: state.tempData });
+      const ticket = await createTicket(userId, email, body, attachments,
+        TICKET_CATEGORIES[category] ? category : "other"
+      );
+      const tid = ticket.ticketId;
+
+      await clearUserState(userId);
+      await deleteMenuIfExists(userId, chatId);
+
+      await sendMessage(chatId,
+        formatMessage("تیکت ثبت شد",
+          `✅ تیکت شما با موفقیت ثبت شد!\n\n🔖 شماره تیکت: <code>${tid}</code>\n\nتیم پشتیبانی به زودی پاسخ خواهد داد.`
+        ),
+        { inline_keyboard: [[{ text: "↩️ بازگشت به منوی اصلی", callback_data: "back_to_main_send" }]] }
+      );
+
+      await notifyAdminTicketMessage(ticket, firstName, username, body, true, attachments);
+
+      if (await canSendEmailToUser(userId, email)) {
+        await sendEmailSafe(email, "ticket_received", { firstName, ticketId: tid });
+      }
+
+      await logUserAction(userId, "ticket_submitted");
+      return;
+    }
+
+    // --- TICKET: نظر کاربر درباره پاسخ (CSAT) ---
+    if (step === "awaiting_ticket_rating_comment" && text) {
+      const answer = await getTicketMessage(state.tempData || "");
+      const ticket = answer && answer.rating ? await getTicket(answer.ticketId) : null;
+      await clearUserState(userId);
+
+      if (ticket && ticket.userId === String(userId)) {
+        const row = answer.row.slice();
+        row[8] = text.slice(0, TICKET_RATING_COMMENT_MAX);
+        await updateRow("TicketMessages", answer.rowNumber, row);
+      }
+
+      await sendMessage(chatId,
+        formatMessage("🙏 سپاس", "نظر شما ثبت شد و به بهبود پشتیبانی کمک می‌کند."),
+        { inline_keyboard: [[{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]] }
+      );
+      return;
+    }
+
+    // --- TICKET: پاسخ کاربر در گفتگوی تیکت ---
+    if (step === "awaiting_ticket_followup" && message) {
+      const attachments = extractTicketAttachments(message);
+      const body = text || (message.caption || "").trim();
+
+      if (!body && !attachments.length) {
+        await sendMessage(chatId, formatMessage("پیام نامعتبر", "❌ لطفاً متن، عکس یا فایل ارسال کنید."));
+        return;
+      }
+
+      const ticket = await getTicket(state.tempData || "");
+      await clearUserState(userId);
+
+      if (!ticket || ticket.userId !== String(userId) || ticket.status === "Closed") {
+        await sendMessage(chatId, formatMessage("خطا", "❌ این تیکت دیگر پاسخ نمی‌پذیرد."));
+        return;
+      }
+
+      await addTicketMessage(ticket.ticketId, "user", userId, body, attachments);
+      markTicketWaiting(ticket);
+      await saveTicket(ticket);
+
+      await sendMessage(chatId,
+        formatMessage("✅ پیام ثبت شد",
+          `پیام شما به تیکت <code>${ticket.ticketId}</code> اضافه شد.\nتیم پشتیبانی به زودی پاسخ خواهد داد.`
+        ),
+        { inline_keyboard: [[{ text: "↩️ بازگشت به منوی اصلی", callback_data: "back_to_main_send" }]] }
+      );
+
+      await notifyAdminTicketMessage(ticket, firstName, username, body, false, attachments);
+      await logUserAction(userId, "ticket_followup");
+      return;
+    }
+
+    // --- ADMIN: مرورگر تیکت - مقدار فیلتر ---
+    if (roleCan(adminRole, "tickets") && step === "awaiting_ticket_filter" && text) {
+      const filters = (await getTicketBrowserState(userId)).filters || {};
+      const field = state.tempData || "";
+      const value = normalizeDigits(text).trim();
+
+      if (field === "date") {
+        const parts = value.split(/\s+/);
+        const from = parts[0] === "-" ? "" : parts[0];
+        const to = !parts[1] || parts[1] === "-" ? "" : parts[1];
+
+        if ((from && !isValidDateOnly(from)) || (to && !isValidDateOnly(to)) || (from && to && from > to)) {
+          await sendMessage(chatId, formatMessage("فرمت نامعتبر",
+            "❌ تاریخ‌ها را به شکل <code>2026-01-01 2026-03-31</code> وارد کنید."
+          ));
+          return;
+        }
+
+        delete filters.from;
+        delete filters.to;
+        if (from) filters.from = from;
+        if (to) filters.to = to;
+      } else if (field === "userId" || field === "email") {
+        if (field === "userId" && value !== "-" && !/^\d{1,15}$/.test(value)) {
+          await sendMessage(chatId, formatMessage("فرمت نامعتبر", "❌ آیدی کاربر باید عددی باشد."));
+          return;
+        }
+
+        if (value === "-") delete filters[field];
+        else filters[field] = value.substring(0, 100);
+      }
+
+      await handleAdminViewTickets(chatId, userId, null, filters, 0);
+      return;
+    }
+
+    // --- ADMIN: پاسخ آماده جدید (عنوان | متن) ---
+    if (roleCan(adminRole, "tickets") && step === "awaiting_canned_response" && text) {
+      const parsed = parseCannedInput(text);
+
+      if (!parsed) {
+        await sendMessage(chatId, formatMessage("فرمت نامعتبر",
+          "❌ فرمت صحیح:\n<code>عنوان | متن پاسخ</code>\n\n(عنوان حداکثر ۴۰ کاراکتر)"
+        ));
+        return;
+      }
+
+      const { title, body } = parsed;
+      const responseId = await saveCannedResponse(title, body, userId);
+      await logAdminAction(userId, "canned_create", responseId, `${title}: ${body}`);
+      await clearUserState(userId);
+
+      await sendMessage(chatId,
+        formatMessage("پاسخ آماده ذخیره شد", `✅ «${escapeHtml(title)}» به پاسخ‌های آماده اضافه شد.`),
+        { inline_keyboard: [[{ text: "💬 پاسخ‌های آماده", callback_data: "admin_canned" }]] }
+      );
+      return;
+    }
+
+    // --- ADMIN: ویرایش پاسخ آماده (عنوان | متن) ---
+    if (roleCan(adminRole, "tickets") && step === "awaiting_canned_edit" && text) {
+      const parsed = parseCannedInput(text);
+
+      if (!parsed) {
+        await sendMessage(chatId, formatMessage("فرمت نامعتبر",
+          "❌ فرمت صحیح:\n<code>عنوان | متن پاسخ</code>\n\n(عنوان حداکثر ۴۰ کاراکتر)"
+        ));
+        return;
+      }
+
+      const responseId = state.tempData || "";
+      const updated = await updateCannedResponse(responseId, parsed.title, parsed.body);
+      if (updated) await logAdminAction(userId, "canned_update", responseId, `${parsed.title}: ${parsed.body}`);
+      await clearUserState(userId);
+
+      await sendMessage(chatId,
+        formatMessage("💬 پاسخ‌های آماده",
+          updated ? `✅ «${escapeHtml(parsed.title)}» ویرایش شد.` : "❌ پاسخ آماده پیدا نشد."
+        ),
+        { inline_keyboard: [[{ text: "💬 پاسخ‌های آماده", callback_data: "admin_canned" }]] }
+      );
+      return;
+    }
+
+    // --- ADMIN: /user <id|@username|email> ---
+    if (roleCan(adminRole, "users") && text && (text === "/user" || text.startsWith("/user "))) {
+      const query = text.replace("/user", "").trim();
+
+      if (!query) {
+        await sendMessage(chatId, formatMessage("خطا",
+          "فرمت صحیح:\n<code>/user USER_ID</code>\n<code>/user @username</code>\n<code>/user email@example.com</code>"
+        ));
+        return;
+      }
+
+      const users = await findUsers(query);
+
+      if (users.length === 0) {
+        await sendMessage(chatId, formatMessage("🔍 جستجوی کاربر", `❌ کاربری با «${escapeHtml(query)}» پیدا نشد.`));
+        return;
+      }
+
+      if (users.length > 1) {
+        await sendMessage(chatId, formatMessage("🔍 جستجوی کاربر",
+          `${users.length} کاربر پیدا شد:\n\n` +
+          users.map(u => `👤 ${escapeHtml(u.firstName || "-")} | <code>/user ${u.userId}</code>`).join("\n")
+        ));
+        return;
+      }
+
+      await handleAdminUserView(chatId, null, users[0].userId);
+      return;
+    }
+
+    // --- ADMIN: پیام مستقیم به کاربر ---
+    if (roleCan(adminRole, "users") && step === "awaiting_user_direct_message" && text) {
+      const targetId = state.tempData || "";
+      const sent = await sendMessage(targetId, formatMessage("📩 پیام پشتیبانی", escapeHtml(text)));
+
+      await clearUserState(userId);
+      if (sent) await logAdminAction(userId, "user_message", targetId, text);
+      await handleAdminUserView(chatId, null, targetId,
+        sent ? "✅ پیام برای کاربر ارسال شد." : "❌ ارسال پیام ناموفق بود (احتمالاً ربات را بلاک کرده است)."
+      );
+      return;
+    }
+
+    // --- ADMIN: /sla [PRIORITY HOURS] - مشاهده / تغییر SLA تیکت‌ها ---
+    if (roleCan(adminRole, "tickets") && text && (text === "/sla" || text.startsWith("/sla "))) {
+      const [, priority, hoursText] = normalizeDigits(text).split(/\s+/);
+
+      if (priority) {
+        const hours = Number(hoursText);
+        if (!TICKET_PRIORITIES[priority] || hoursText === undefined || isNaN(hours) || hours < 0) {
+          await sendMessage(chatId, formatMessage("خطا",
+            "فرمت صحیح:\n<code>/sla PRIORITY HOURS</code>\n\n" +
+            `اولویت‌ها: ${Object.keys(TICKET_PRIORITIES).map(k => `<code>${k}</code>`).join("، ")}\n` +
+            "عدد 0 یعنی بدون SLA."
+          ));
+          return;
+        }
+
+        const saved = parseJsonSafe(await getSetting("ticket_sla_hours"), {});
+        saved[priority] = hours;
+        await setSetting("ticket_sla_hours", JSON.stringify(saved));
+        await logAdminAction(userId, "ticket_sla_update", priority, `${hours}h`);
+      }
+
+      const slaHours = await getTicketSlaHours();
+      await sendMessage(chatId, formatMessage("⏱ SLA تیکت‌ها",
+        Object.entries(TICKET_PRIORITIES).map(([k, p]) =>
+          `${p.label} (<code>${k}</code>): ${slaHours[k] ? `${slaHours[k]} ساعت` : "بدون SLA"}`
+        ).join("\n") +
+        "\n\n<b>موضوع‌ها:</b>\n" +
+        Object.values(TICKET_CATEGORIES).map(c => `${c.label} ← ${TICKET_PRIORITIES[c.priority].label}`).join("\n") +
+        "\n\nتغییر: <code>/sla PRIORITY HOURS</code>"
+      ));
+      return;
+    }
+
+    // --- ADMIN: Reply to ticket via /reply_TICKETID ---
+    if (roleCan(adminRole, "tickets") && text && text.startsWith("/reply_")) {
+      const ticketId = text.replace("/reply_", "").trim();
+      await setUserStateFields(userId, { step: "awaiting_ticket_reply", tempData: ticketId });
+      await sendMessage(chatId,
+        formatMessage("پاسخ تیکت",
+          `در حال پاسخ به تیکت:\n<code>${ticketId}</code>\n\nمتن پاسخ خود را وارد کنید (یا عکس/فایل همراه کپشن)` +
+          "\nیا یکی از پاسخ‌های آماده را انتخاب کنید:"
+        ),
+        await ticketReplyKeyboard("admin_close")
+      );
+      return;
+    }
+
+    // --- ADMIN: Save ticket reply ---
+    if (roleCan(adminRole, "tickets") && step === "awaiting_ticket_reply" && message) {
+      const attachments = extractTicketAttachments(message);
+      const body = text || (message.caption || "").trim();
+
+      if (!body && !attachments.length) {
+        await sendMessage(chatId, formatMessage("پیام نامعتبر", "❌ پاسخ باید متن، عکس یا فایل باشد."));
+        return;
+      }
+
+      await submitTicketReply(chatId, userId, state.tempData || "", body, attachments);
+      return;
+    }
+
+    // --- INVEST: Full name ---
+    if (step === "awaiting_invest_fullname" && text) {
+      if (text.length < 3 || text.length > 100) {
+        await sendMessage(chatId,
+          formatMessage("نام نامعتبر", "❌ لطفاً نام و نام خانوادگی خود را به‌درستی وارد کنید:")
+        );
+        return;
+      }
+
+      const draft = parseJsonSafe(state.tempData, {});
+      draft.fullName = text;
+      await setUserStateFields(userId, { step: "awaiting_invest_amount", tempData: JSON.stringify(draft) });
+      await sendMessage(chatId,
+        formatMessage("💼 درخواست سرمایه‌گذاری",
+          "مرحله ۲ از ۴\n\n💵 لطفاً <b>مبلغ سرمایه‌گذاری</b> را به USDT وارد کنید:\n\n(مثال: 500)"
+        ),
+        { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "invest_cancel" }]] }
+      );
+      return;
+    }
+
+    // --- INVEST: Amount ---
+    if (step === "awaiting_invest_amount" && text) {
+      const amount = parseAmount(text);
+
+      if (amount === null) {
+        await sendMessage(chatId,
+          formatMessage("مبلغ نامعتبر", "❌ لطفاً مبلغ را فقط به صورت عدد وارد کنید:\n\n(مثال: 500)")
+        );
+        return;
+      }
+
+      const draft = parseJsonSafe(state.tempData, {});
+      draft.amount = String(amount);
+      await setUserStateFields(userId, { step: "awaiting_invest_duration", tempData: JSON.stringify(draft) });
+      await sendMessage(chatId,
+        formatMessage("💼 درخواست سرمایه‌گذاری", "مرحله ۳ از ۴\n\n⏳ لطفاً <b>مدت قرارداد</b> را انتخاب کنید:"),
+        investDurationKeyboard()
+      );
+      return;
+    }
+
+    // --- INVEST: TxHash ---
+    if (step === "awaiting_invest_txhash" && text) {
+      if (!isValidTxHash(text)) {
+        await sendMessage(chatId,
+          formatMessage("TxHash نامعتبر",
+            "❌ TxHash وارد شده معتبر نیست.\n\nلطفاً شناسه تراکنش (۶۴ کاراکتر) را بدون فاصله وارد کنید:"
+          )
+        );
+        return;
+      }
+
+      const draft = parseJsonSafe(state.tempData, {});
+      draft.txHash = text;
+      await setUserStateFields(userId, { step: "awaiting_invest_confirm", tempData: JSON.stringify(draft) });
+      await sendMessage(chatId,
+        formatMessage("💼 تایید اطلاعات",
+          `لطفاً اطلاعات زیر را بررسی و تایید کنید:\n\n${formatInvestSummary(draft)}`
+        ),
+        {
+          inline_keyboard: [
+            [{ text: "✅ تایید و ثبت درخواست", callback_data: "invest_confirm" }],
+            [{ text: "↩️ لغو", callback_data: "invest_cancel" }]
+          ]
+        }
+      );
+      return;
+    }
+
+    // --- WITHDRAW: Full name ---
+    if (step === "awaiting_withdraw_fullname" && text) {
+      if (text.length < 3 || text.length > 100) {
+        await sendMessage(chatId,
+          formatMessage("نام نامعتبر", "❌ لطفاً نام و نام خانوادگی خود را به‌درستی وارد کنید:")
+        );
+        return;
+      }
+
+      const draft = parseJsonSafe(state.tempData, {});
+      draft.fullName = text;
+      await setUserStateFields(userId, { step: "awaiting_withdraw_amount", tempData: JSON.stringify(draft) });
+      await sendMessage(chatId,
+        formatMessage("🏧 درخواست برداشت",
+          "مرحله ۲ از ۴\n\n💵 لطفاً <b>مبلغ برداشت</b> را به USDT وارد کنید:\n\n(مثال: 200)"
+        ),
+        { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "withdraw_cancel" }]] }
+      );
+      return;
+    }
+
+    // --- WITHDRAW: Amount ---
+    if (step === "awaiting_withdraw_amount" && text) {
+      const amount = parseAmount(text);
+
+      if (amount === null) {
+        await sendMessage(chatId,
+          formatMessage("مبلغ نامعتبر", "❌ لطفاً مبلغ را فقط به صورت عدد وارد کنید:\n\n(مثال: 200)")
+        );
+        return;
+      }
+
+      const draft = parseJsonSafe(state.tempData, {});
+      draft.amount = String(amount);
+      await setUserStateFields(userId, { step: "awaiting_withdraw_network", tempData: JSON.stringify(draft) });
+      await sendMessage(chatId,
+        formatMessage("🏧 درخواست برداشت", "مرحله ۳ از ۴\n\n🌐 لطفاً <b>شبکه</b> ولت مقصد را انتخاب کنید:"),
+        withdrawNetworkKeyboard()
+      );
+      return;
+    }
+
+    // --- WITHDRAW: Wallet address ---
+    if (step === "awaiting_withdraw_wallet" && text) {
+      const draft = parseJsonSafe(state.tempData, {});
+
+      if (!isValidWalletAddress(draft.network, text)) {
+        await sendMessage(chatId,
+          formatMessage("آدرس نامعتبر",
+            `❌ آدرس وارد شده برای شبکه ${draft.network || "-"} معتبر نیست.\n\nلطفاً آدرس ولت را دقیق و بدون فاصله وارد کنید:`
+          ),
+          { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "withdraw_cancel" }]] }
         );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
         return;
       }
 
-      if (cd === "faq_security") {
-        const content =
-          "🔒 <b>آیا اطلاعات من امن است؟</b>\n" +
-          "بله، اطلاعات شما فقط برای تایید هویت استفاده می‌شود.\n\n" +
-          "📌 <b>قوانین مهم:</b>\n" +
-          "• هیچ‌کس از طرف RBI24 رمز یا ولت شما را نمی‌خواهد\n" +
-          "• تراکنش‌ها فقط از طریق کانال رسمی اطلاع‌رسانی می‌شود\n" +
-          "• در صورت مشاهده رفتار مشکوک فوراً تیکت ارسال کنید";
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("امنیت و قوانین", content),
-          { inline_keyboard: [[{ text: "↩️ بازگشت به FAQ", callback_data: "faq_menu" }]] }
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        return;
-      }
+      draft.walletAddress = text;
+      await setUserStateFields(userId, { step: "awaiting_withdraw_confirm", tempData: JSON.stringify(draft) });
+      await sendMessage(chatId,
+        formatMessage("🏧 تایید اطلاعات",
+          `لطفاً اطلاعات زیر را بررسی و تایید کنید:\n\n${formatWithdrawSummary(draft)}\n\n` +
+          "⚠️ مسئولیت صحت آدرس ولت با شماست."
+        ),
+        {
+          inline_keyboard: [
+            [{ text: "✅ تایید و ثبت درخواست", callback_data: "withdraw_confirm" }],
+            [{ text: "↩️ لغو", callback_data: "withdraw_cancel" }]
+          ]
+        }
+      );
+      return;
+    }
+
+    // --- DEFAULT: Unknown message ---
+    if (text && !step) {
+      await deleteMenuIfExists(userId, chatId);
+      const mid = await sendMessage(chatId,
+        formatMessage("RBI24", `سلام ${firstName} عزیز 👋\n\nلطفاً از منوی زیر استفاده کنید:`),
+        mainMenuKeyboard()
+      );
+      if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
+      await logUserAction(userId, "unknown_message");
+      return;
+    }
+
+  } catch (err) {
+    console.error("❌ handleUpdate error:", err);
+    try {
+      await sendMessage(ADMIN_CHAT_ID, `⚠️ Bot Error:\n${String(err)}`);
+    } catch(e) {}
+  }
+}
+
+// ========================================
+// ADMIN FUNCTIONS
+// ========================================
+
+async function handleAdminStats(chatId, messageId) {
+  try {
+    const users = await readSheet("Users");
+    const tickets = await getAllTickets();
+
+    const totalUsers = Math.max(0, users.length - 1);
+
+    const ticketCounts = {};
+    for (const t of tickets) {
+      ticketCounts[t.status] = (ticketCounts[t.status] || 0) + 1;
+    }
+
+    const formatCsat = c => c.count ? `<b>${c.average}</b> از ۵ (${c.count} امتیاز)` : "—";
+    const daysAgo = n => formatTehranDateTime(new Date(Date.now() - n * 24 * 60 * 60 * 1000));
+    const adminNames = Object.fromEntries((await getAdmins()).map(a => [a.userId, a.name || a.userId]));
+    const ratings = await getCsatRatings();
+    const perAdmin = Object.entries(csatByAdmin(ratings))
+      .map(([id, c]) => `👤 ${escapeHtml(id === "sync" ? "📄 شیت" : adminNames[id] || id)}: ${formatCsat(c)}`);
+
+    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    let activeUsers = 0;
+    for (let i = 1; i < users.length; i++) {
+      const last = users[i][7] ? new Date(users[i][7]) : null;
+      if (last && last > sevenDaysAgo) activeUsers++;
+    }
+
+    const content =
+      `👥 کل کاربران: <b>${totalUsers}</b>\n` +
+      `📊 کاربران فعال (7 روز): <b>${activeUsers}</b>\n\n` +
+      `🎫 <b>تیکت‌ها:</b>\n` +
+      Object.entries(TICKET_STATUS_LABELS).map(([k, label]) => `${label}: <b>${ticketCounts[k] || 0}</b>`).join("\n") +
+      "\n\n" +
+      `⭐️ <b>رضایت از پاسخ‌ها (CSAT):</b>\n` +
+      `7 روز: ${formatCsat(csatSummary(ratings, daysAgo(7)))}\n` +
+      `30 روز: ${formatCsat(csatSummary(ratings, daysAgo(30)))}\n` +
+      `کل: ${formatCsat(csatSummary(ratings))}\n` +
+      (perAdmin.length ? perAdmin.join("\n") + "\n" : "") +
+      "\n" +
+      `🕐 آخرین به‌روزرسانی: ${getNow()}`;
+
+    await editMessageText(chatId, messageId,
+      formatMessage("آمار سیستم", content),
+      { inline_keyboard: [[{ text: "↩️ بستن", callback_data: "admin_close" }]] }
+    );
+  } catch (e) {
+    await sendMessage(chatId, formatMessage("خطا", "❌ خطا در دریافت آمار."));
+  }
+}
+
+async function handleAdminViewTickets(chatId, userId, messageId, filters, page) {
+  try {
+    const tickets = filterTicketsForAdmin(await getAllTickets(), filters);
+    const slaHours = await getTicketSlaHours();
+    const totalPages = Math.max(1, Math.ceil(tickets.length / TICKET_BROWSER_PAGE_SIZE));
+    page = Math.min(Math.max(0, page), totalPages - 1);
+
+    // فیلترها و صفحه فعلی ذخیره می‌شوند تا بازگشت از جزئیات تیکت به همین صفحه برگردد؛
+    // مرحله ورود فیلتر (اگر ادمین با «بازگشت» از آن خارج شده) پاک می‌شود
+    await saveTicketBrowserState(userId, filters, page);
+    if ((await getUserState(userId)).step === "awaiting_ticket_filter") await clearUserState(userId);
+
+    let content = `<b>فیلترها:</b>\n${escapeHtml(describeTicketFilters(filters))}\n\n`;
+    const keyboard = { inline_keyboard: [] };
+
+    if (tickets.length === 0) {
+      content += "✅ تیکتی با این فیلترها پیدا نشد.";
+    } else {
+      content += `<b>${tickets.length} تیکت</b> | صفحه ${page + 1} از ${totalPages}\n\n`;
+    }
+
+    for (const t of tickets.slice(page * TICKET_BROWSER_PAGE_SIZE, (page + 1) * TICKET_BROWSER_PAGE_SIZE)) {
+      const msg = t.message.substring(0, 60);
+
+      const breached = isTicketSlaBreached(t, slaHours);
+
+      content += `${breached ? "🚨 " : ""}🔖 <code>${t.ticketId}</code> ${TICKET_STATUS_LABELS[t.status]}\n`;
+      content += `${TICKET_PRIORITIES[t.priority].label} | ${ticketCategoryLabel(t)}` +
+        (TICKET_ADMIN_PENDING_STATUSES.includes(t.status) ? ` | ⏱ ${formatHours(ticketWaitingHours(t) || 0)}` : "") + "\n";
+      content += `👤 ${t.userId} | ${escapeHtml(t.email)}\n`;
+      content += `📝 ${escapeHtml(msg)}${msg.length >= 60 ? "..." : ""}\n`;
+      content += `🗓 ${t.createdAt} | 🔄 ${t.updatedAt}\n\n`;
+
+      keyboard.inline_keyboard.push([
+        { text: `${breached ? "🚨" : "🗂"} ${t.ticketId.substring(0, 15)}...`, callback_data: `admin_tkt_view_${t.ticketId}` }
+      ]);
+    }
+
+    const nav = [];
+    if (page > 0) nav.push({ text: "◀️ قبلی", callback_data: `admin_tkt_pg_${page - 1}` });
+    if (page < totalPages - 1) nav.push({ text: "بعدی ▶️", callback_data: `admin_tkt_pg_${page + 1}` });
+    if (nav.length) keyboard.inline_keyboard.push(nav);
+
+    keyboard.inline_keyboard.push(
+      [{ text: `وضعیت: ${TICKET_BROWSER_STATUS_FILTERS[filters.status || "open"]}`, callback_data: "admin_tkt_f_status" }],
+      [
+        { text: "👤 کاربر", callback_data: "admin_tkt_f_userId" },
+        { text: "📧 ایمیل", callback_data: "admin_tkt_f_email" },
+        { text: "📅 تاریخ", callback_data: "admin_tkt_f_date" }
+      ],
+      [
+        { text: "🔄 پاک کردن فیلترها", callback_data: "admin_tkt_f_reset" },
+        { text: "↩️ بازگشت", callback_data: "admin_close" }
+      ]
+    );
+
+    const text = formatMessage("🎫 تیکت‌ها", content.trim());
+    if (messageId) await editMessageText(chatId, messageId, text, keyboard);
+    else await sendMessage(chatId, text, keyboard);
+  } catch (e) {
+    console.error("handleAdminViewTickets error:", e.message);
+    await sendMessage(chatId, formatMessage("خطا", "❌ خطا در دریافت تیکت‌ها."));
+  }
+}
+
+async function handleAdminTicketView(chatId, messageId, ticketId) {
+  const ticket = await getTicket(ticketId);
+
+  if (!ticket) {
+    await editMessageText(chatId, messageId,
+      formatMessage("خطا", "❌ تیکت پیدا نشد."),
+      { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "admin_tickets" }]] }
+    );
+    return;
+  }
+
+  const thread = await getTicketThread(ticket);
+  const fileCount = thread.reduce((n, m) => n + m.attachments.length, 0);
+  const rated = thread.filter(m => m.rating).pop();
+  const keyboard = adminTicketKeyboard(ticket);
+  const extras = [];
+  if (thread.length > TICKET_THREAD_PREVIEW || thread.some(m => m.text.length > TICKET_THREAD_MESSAGE_MAX)) {
+    extras.push({ text: `📜 تاریخچه کامل (${thread.length})`, callback_data: `admin_tkt_hist_${ticket.ticketId}` });
+  }
+  if (fileCount) {
+    extras.push({ text: `📎 پیوست‌ها (${fileCount})`, callback_data: `admin_tkt_files_${ticket.ticketId}` });
+  }
+  if (extras.length) keyboard.inline_keyboard.push(extras);
+  keyboard.inline_keyboard.push([{ text: "↩️ لیست تیکت‌ها", callback_data: "admin_tickets" }]);
+
+  await editMessageText(chatId, messageId,
+    formatMessage("🎫 جزئیات تیکت",
+      `🔖 <code>${ticket.ticketId}</code>\n` +
+      `👤 ${ticket.userId} | ${escapeHtml(ticket.email)}\n` +
+      `وضعیت: ${TICKET_STATUS_LABELS[ticket.status]}\n` +
+      `🗂 موضوع: ${ticketCategoryLabel(ticket)} | اولویت: ${TICKET_PRIORITIES[ticket.priority].label}\n` +
+      (TICKET_ADMIN_PENDING_STATUSES.includes(ticket.status)
+        ? `⏱ در انتظار پاسخ: ${formatHours(ticketWaitingHours(ticket) || 0)}\n`
+        : "") +
+      (rated
+        ? `⭐️ آخرین امتیاز کاربر: ${rated.rating}/5${rated.ratingComment ? ` - ${escapeHtml(rated.ratingComment)}` : ""}\n`
+        : "") +
+      `🗓 ${ticket.createdAt} | 🔄 ${ticket.updatedAt}\n\n` +
+      formatTicketThread(thread, true)
+    ),
+    keyboard
+  );
+}
+
+async function handleAdminWithdrawals(chatId, messageId, page, notice) {
+  try {
+    const requests = await getOpenWithdrawRequests();
+    const totalPages = Math.max(1, Math.ceil(requests.length / WITHDRAW_QUEUE_PAGE_SIZE));
+    page = Math.min(Math.max(0, page), totalPages - 1);
+    let content = notice ? `${notice}\n\n` : "";
+
+    if (requests.length === 0) {
+      await editMessageText(chatId, messageId,
+        formatMessage("🏧 درخواست‌های برداشت", content + "✅ درخواست برداشت در انتظاری وجود ندارد."),
+        { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "admin_menu" }]] }
+      );
+      return;
+    }
+
+    // درخواست‌ها از قدیمی‌ترین به جدیدترین، صفحه‌ای ۵ تا + دکمه‌های اقدام برای هر کدام
+    const showRequests = requests.slice(page * WITHDRAW_QUEUE_PAGE_SIZE, (page + 1) * WITHDRAW_QUEUE_PAGE_SIZE);
+    content += `<b>${requests.length} درخواست باز</b> | صفحه ${page + 1} از ${totalPages}\n\n`;
+
+    const keyboard = { inline_keyboard: [] };
+
+    for (const req of showRequests) {
+      content += `🔖 <code>${req.requestId}</code>\n`;
+      content += `👤 ${req.userId} | ${escapeHtml(req.fullName)}\n`;
+      content += `💵 ${req.amount} USDT | 🌐 ${req.network}\n`;
+      content += `👛 <code>${escapeHtml(req.walletAddress)}</code>\n`;
+      content += `📌 ${REQUEST_STATUS_LABELS[req.status] || req.status} | 🗓 ${req.createdAt}\n\n`;
+
+      keyboard.inline_keyboard.push(withdrawActionButtons(req, page));
+    }
+
+    const nav = [];
+    if (page > 0) nav.push({ text: "◀️ قبلی", callback_data: `admin_wd_pg_${page - 1}` });
+    if (page < totalPages - 1) nav.push({ text: "بعدی ▶️", callback_data: `admin_wd_pg_${page + 1}` });
+    if (nav.length) keyboard.inline_keyboard.push(nav);
+
+    keyboard.inline_keyboard.push([
+      { text: "🔄 بروزرسانی", callback_data: `admin_wd_pg_${page}` },
+      { text: "↩️ بازگشت", callback_data: "admin_menu" }
+    ]);
+
+    await editMessageText(chatId, messageId,
+      formatMessage("🏧 درخواست‌های برداشت", content),
+      keyboard
+    );
+  } catch (e) {
+    console.error("handleAdminWithdrawals error:", e.message);
+    await sendMessage(chatId, formatMessage("خطا", "❌ خطا در دریافت درخواست‌های برداشت."));
+  }
+}
+
+async function handleAdminBroadcastList(chatId, messageId, page) {
+  try {
+    const summaries = await getBroadcastSummaries();
+
+    if (summaries.length === 0) {
+      await editMessageText(chatId, messageId,
+        formatMessage("🗂 پیام‌های ارسال‌شده", "هنوز پیام همگانی ارسال نشده است."),
+        { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "admin_close" }]] }
+      );
+      return;
+    }
+
+    const pages = Math.ceil(summaries.length / BROADCAST_LIST_PAGE_SIZE);
+    page = Math.min(Math.max(0, page), pages - 1);
+    const show = summaries.slice(page * BROADCAST_LIST_PAGE_SIZE, (page + 1) * BROADCAST_LIST_PAGE_SIZE);
+
+    let content = `<b>${summaries.length} پیام</b> (صفحه ${page + 1} از ${pages}):\n\n`;
+    const keyboard = { inline_keyboard: [] };
+
+    for (const s of show) {
+      const icon = broadcastTypeOf(s.broadcastId) === "filtered" ? "🎯" : "📢";
+      content += `${icon} <code>${s.broadcastId}</code>\n`;
+      content += `🗓 ${s.sentAt} | 📨 ${s.total}${s.deleted ? ` | 🗑 ${s.deleted}` : ""}\n\n`;
+      keyboard.inline_keyboard.push([
+        { text: `${icon} ${s.broadcastId}`, callback_data: `admin_bc_view_${s.broadcastId}` }
+      ]);
+    }
+
+    const nav = [];
+    if (page > 0) nav.push({ text: "◀️ قبلی", callback_data: `admin_bc_list_${page - 1}` });
+    if (page < pages - 1) nav.push({ text: "بعدی ▶️", callback_data: `admin_bc_list_${page + 1}` });
+    if (nav.length) keyboard.inline_keyboard.push(nav);
+    keyboard.inline_keyboard.push([{ text: "↩️ بازگشت", callback_data: "admin_close" }]);
+
+    await editMessageText(chatId, messageId, formatMessage("🗂 پیام‌های ارسال‌شده", content), keyboard);
+  } catch (e) {
+    console.error("handleAdminBroadcastList error:", e.message);
+    await sendMessage(chatId, formatMessage("خطا", "❌ خطا در دریافت لیست پیام‌ها."));
+  }
+}
+
+async function handleAdminBroadcastView(chatId, messageId, broadcastId) {
+  const summary = (await getBroadcastSummaries()).find(s => s.broadcastId === broadcastId);
+
+  if (!summary) {
+    await editMessageText(chatId, messageId,
+      formatMessage("خطا", "❌ پیام پیدا نشد."),
+      { inline_keyboard: [[{ text: "↩️ بازگشت به لیست", callback_data: "admin_bc_list_0" }]] }
+    );
+    return;
+  }
+
+  const text = await getBroadcastText(broadcastId);
+  const active = summary.total - summary.deleted;
+  const keyboard = [[{ text: `🗑 حذف از همه چت‌ها (${active})`, callback_data: `admin_bc_del_${broadcastId}` }]];
+
+  if (isBroadcastEditable(await getBroadcastJob(broadcastId))) {
+    keyboard.push([{ text: "✏️ ویرایش متن در همه چت‌ها", callback_data: `admin_bc_edit_${broadcastId}` }]);
+  }
+  keyboard.push([{ text: "↩️ بازگشت به لیست", callback_data: "admin_bc_list_0" }]);
+
+  await editMessageText(chatId, messageId,
+    formatMessage("🗂 جزئیات پیام",
+      `🆔 <code>${broadcastId}</code>\n` +
+      `🗓 ${summary.sentAt}\n` +
+      `📨 ارسال‌شده: ${summary.total}\n` +
+      `🗑 حذف‌شده: ${summary.deleted}\n\n` +
+      `📝 متن:\n${escapeHtml(text) || "(نامشخص)"}`
+    ),
+    { inline_keyboard: keyboard }
+  );
+}
+
+async function handleAdminAdmins(chatId, messageId) {
+  const admins = await getAdmins();
+  let content = "";
+
+  for (const a of admins) {
+    content += `${ADMIN_ROLES[a.role].label} <code>${a.userId}</code>${a.name ? ` - ${escapeHtml(a.name)}` : ""}\n`;
+  }
+
+  content += "\n<b>افزودن یا تغییر نقش:</b>\n<code>/addadmin USER_ID ROLE [NAME]</code>\n" +
+    "<b>حذف:</b>\n<code>/removeadmin USER_ID</code>\n\n" +
+    "<b>نقش‌ها:</b>\n" +
+    Object.entries(ADMIN_ROLES).map(([key, r]) => `${r.label}: <code>${key}</code>`).join("\n");
+
+  await editMessageText(chatId, messageId,
+    formatMessage("👥 مدیران", content),
+    { inline_keyboard: [[{ text: "❌ بستن", callback_data: "admin_close" }]] }
+  );
+}
+
+async function handleAdminUserView(chatId, messageId, targetId, notice) {
+  const user = await getUserById(targetId);
+
+  if (!user) {
+    await sendMessage(chatId, formatMessage("خطا", "❌ کاربر پیدا نشد."));
+    return;
+  }
+
+  const state = await getUserState(targetId);
+  const tickets = (await getAllTickets())
+    .filter(t => String(t.userId) === String(targetId))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  const actions = (await readSheet("UserActions")).slice(1)
+    .filter(r => String(r[0]) === String(targetId))
+    .slice(-USER_VIEW_LIST_SIZE)
+    .reverse();
+  const invests = (await readSheet("InvestRequests")).slice(1)
+    .filter(r => String(r[1]) === String(targetId))
+    .slice(-USER_VIEW_LIST_SIZE)
+    .reverse();
+  const withdrawals = (await readSheet("WithdrawRequests")).slice(1)
+    .map((r, i) => rowToWithdrawRequest(r, i + 1))
+    .filter(r => String(r.userId) === String(targetId))
+    .slice(-USER_VIEW_LIST_SIZE)
+    .reverse();
+
+  let content = notice ? `${notice}\n\n` : "";
+  content += `👤 ${escapeHtml([user.firstName, user.lastName].filter(Boolean).join(" ") || "-")}` +
+    (user.username ? ` (@${escapeHtml(user.username)})` : "") + `\n`;
+  content += `🆔 <code>${user.userId}</code>${user.blocked ? " | 🚫 مسدود" : ""}\n`;
+  content += `📧 ${user.email ? escapeHtml(user.email) : "ثبت نشده"}` +
+    (user.email ? ` | ${user.emailConfirmed === "Yes" ? "✅ تایید شده" : "❌ تایید نشده"}` : "") + `\n`;
+  content += `🗓 عضویت: ${user.joinedAt || "-"}\n🕒 آخرین فعالیت: ${user.lastActive || "-"}\n`;
+  if (state.step) content += `⚙️ مرحله فعلی: <code>${escapeHtml(state.step)}</code>\n`;
+
+  content += `\n<b>🎫 تیکت‌ها (${tickets.length}):</b>\n`;
+  content += tickets.slice(0, USER_VIEW_LIST_SIZE)
+    .map(t => `<code>${t.ticketId}</code> ${TICKET_STATUS_LABELS[t.status]} | ${t.createdAt.slice(0, 10)}`)
+    .join("\n") || "-";
+
+  content += `\n\n<b>💼 سرمایه‌گذاری:</b>\n`;
+  content += invests
+    .map(r => `<code>${r[0]}</code> ${escapeHtml(r[6] || "")} USDT | ${REQUEST_STATUS_LABELS[r[7] || "Pending"] || escapeHtml(r[7])} | ${String(r[9] || "").slice(0, 10)}`)
+    .join("\n") || "-";
+
+  content += `\n\n<b>🏧 برداشت:</b>\n`;
+  content += withdrawals
+    .map(r => `<code>${r.requestId}</code> ${escapeHtml(r.amount)} USDT | ${REQUEST_STATUS_LABELS[r.status] || escapeHtml(r.status)} | ${r.createdAt.slice(0, 10)}`)
+    .join("\n") || "-";
+
+  content += `\n\n<b>📈 فعالیت‌های اخیر:</b>\n`;
+  content += actions.map(r => `${r[2]} | ${escapeHtml(r[1])}`).join("\n") || "-";
+
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: "✉️ پیام به کاربر", callback_data: `admin_usr_msg_${user.userId}` },
+        { text: "🎫 تیکت‌ها", callback_data: `admin_tkt_user_${user.userId}` }
+      ],
+      [
+        { text: "📧 ریست تایید ایمیل", callback_data: `admin_usr_email_${user.userId}` },
+        { text: "🧹 پاک کردن مرحله", callback_data: `admin_usr_state_${user.userId}` }
+      ],
+      [user.blocked
+        ? { text: "✅ رفع مسدودیت", callback_data: `admin_usr_unblock_${user.userId}` }
+        : { text: "🚫 مسدود کردن", callback_data: `admin_usr_block_${user.userId}` }],
+      [{ text: "❌ بستن", callback_data: "admin_close" }]
+    ]
+  };
+
+  const text = formatMessage("🔍 اطلاعات کاربر", content);
+  if (messageId) await editMessageText(chatId, messageId, text, keyboard);
+  else await sendMessage(chatId, text, keyboard);
+}
+
+async function handleAdminCannedResponses(chatId, messageId, notice) {
+  const responses = await getCannedResponses();
+  let content = notice ? `${notice}\n\n` : "";
+  const keyboard = { inline_keyboard: [] };
+
+  if (responses.length === 0) {
+    content += "هنوز پاسخ آماده‌ای ثبت نشده است.";
+  } else {
+    for (const r of responses) {
+      const preview = r.text.length > 80 ? r.text.slice(0, 80) + "…" : r.text;
+      content += `💬 <b>${escapeHtml(r.title)}</b>\n${escapeHtml(preview)}\n\n`;
+      keyboard.inline_keyboard.push([
+        { text: `✏️ ${r.title}`, callback_data: `admin_canned_edit_${r.responseId}` },
+        { text: "🗑 حذف", callback_data: `admin_canned_rm_${r.responseId}` }
+      ]);
+    }
+  }
+
+  keyboard.inline_keyboard.push([{ text: "➕ پاسخ آماده جدید", callback_data: "admin_canned_add" }]);
+  keyboard.inline_keyboard.push([{ text: "❌ بستن", callback_data: "admin_close" }]);
+
+  await editMessageText(chatId, messageId, formatMessage("💬 پاسخ‌های آماده", content.trim()), keyboard);
+}
+
+async function handleAdminAuditLog(chatId, messageId, page) {
+  try {
+    const entries = await getAuditEntries();
+
+    if (entries.length === 0) {
+      await editMessageText(chatId, messageId,
+        formatMessage("🧾 گزارش فعالیت مدیران", "هنوز فعالیتی ثبت نشده است."),
+        { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "admin_close" }]] }
+      );
+      return;
+    }
+
+    const pages = Math.ceil(entries.length / AUDIT_PAGE_SIZE);
+    page = Math.min(Math.max(0, page), pages - 1);
+    const show = entries.slice(page * AUDIT_PAGE_SIZE, (page + 1) * AUDIT_PAGE_SIZE);
+
+    let content = `<b>${entries.length} رکورد</b> (صفحه ${page + 1} از ${pages}):\n\n`;
+
+    for (const e of show) {
+      const role = ADMIN_ROLES[e.actorRole] ? ` ${ADMIN_ROLES[e.actorRole].label}` : "";
+      content += `${AUDIT_ACTION_LABELS[e.action] || escapeHtml(e.action)}\n`;
+      content += `🗓 ${e.timestamp} | 👤 <code>${escapeHtml(e.actorId)}</code>${role}\n`;
+      if (e.target) content += `🎯 <code>${escapeHtml(e.target)}</code>\n`;
+      if (e.summary) content += `📝 ${escapeHtml(e.summary.slice(0, 100))}\n`;
+      content += "\n";
+    }
+
+    content += "📥 خروجی کامل: <code>/admin/audit?secret=YOUR_SECRET&format=csv</code>";
+
+    const keyboard = { inline_keyboard: [] };
+    const nav = [];
+    if (page > 0) nav.push({ text: "◀️ قبلی", callback_data: `admin_audit_${page - 1}` });
+    if (page < pages - 1) nav.push({ text: "بعدی ▶️", callback_data: `admin_audit_${page + 1}` });
+    if (nav.length) keyboard.inline_keyboard.push(nav);
+    keyboard.inline_keyboard.push([{ text: "↩️ بازگشت", callback_data: "admin_close" }]);
+
+    await editMessageText(chatId, messageId, formatMessage("🧾 گزارش فعالیت مدیران", content), keyboard);
+  } catch (e) {
+    console.error("handleAdminAuditLog error:", e.message);
+    await sendMessage(chatId, formatMessage("خطا", "❌ خطا در دریافت گزارش فعالیت‌ها."));
+  }
+}
+
+async function handleAdminBackup(chatId) {
+  try {
+    await sendMessage(chatId, "⏳ در حال آماده‌سازی بکاپ...");
+
+    const sheetNames = BACKUP_SHEETS;
+
+    const backup = { exportedAt: getNow(), version: "2.0", sheets: {} };
+
+    for (const name of sheetNames) {
+      try { backup.sheets[name] = await readSheet(name); }
+      catch (e) { backup.sheets[name] = []; }
+    }
+
+    const summary = { exportedAt: backup.exportedAt, sheetCounts: {} };
+    for (const [k, v] of Object.entries(backup.sheets)) {
+      summary.sheetCounts[k] = Array.isArray(v) ? Math.max(0, v.length - 1) : 0;
+    }
+
+    await sendMessage(chatId,
+      `💾 <b>بکاپ دیتابیس (خلاصه)</b>\n\n<pre>${JSON.stringify(summary, null, 2)}</pre>\n\n` +
+      `برای دانلود کامل فایل JSON، در مرورگر باز کنید:\n` +
+      `<code>/admin/backup?secret=YOUR_SECRET</code>`
+    );
+  } catch (e) {
+    await sendMessage(chatId, "❌ خطا در ایجاد بکاپ.");
+  }
+}
+
+// content: متن ساده یا محتوای extractBroadcastContent (همراه با buttons)
+async function handleBroadcast(chatId, content) {
+  try {
+    const users = await readSheet("Users");
+    const recipients = users.slice(1).map(r => r[0]).filter(Boolean);
+    await startBroadcast(chatId, "all", recipients, normalizeBroadcastContent(content));
+  } catch (e) {
+    console.error("handleBroadcast error:", e.message);
+    await sendMessage(chatId, "❌ خطا در ارسال پیام همگانی.");
+  }
+}
+
+// گیرندگان پیام فیلتر شده: { filters } از سگمنت‌ساز (در لحظه ارسال محاسبه می‌شود)
+// یا { targetIds } که ادمین دستی وارد کرده (به اندازه یک پیام تلگرام محدود است)
+function broadcastAudience(draft) {
+  if (draft.filters) return { filters: draft.filters };
+  if (draft.targetIds) return { targetIds: draft.targetIds };
+  return null;
+}
+
+async function resolveAudience(audience) {
+  if (audience.filters) return computeSegmentRecipients(audience.filters);
+  return (audience.targetIds || []).map(id => String(id).trim()).filter(Boolean);
+}
+
+async function handleFilteredBroadcast(chatId, audience, content) {
+  try {
+    const recipients = await resolveAudience(audience);
+    await startBroadcast(chatId, "filtered", recipients, normalizeBroadcastContent(content));
+  } catch (e) {
+    console.error("handleFilteredBroadcast error:", e.message);
+    await sendMessage(chatId, "❌ خطا در ارسال پیام فیلتر شده.");
+  }
+}
+
+function renderDraftRequest(draft, chatId) {
+  const type = broadcastAudience(draft) ? "filtered" : "all";
+  return buildBroadcastRequest(draft.content, BROADCAST_TITLES[type], chatId);
+}
+
+// برگشت به مرحله دریافت پیام (گیرندگان پیام فیلتر شده حفظ می‌شوند)
+async function restartBroadcastDraft(chatId, userId, draft, notice) {
+  await setUserStateFields(userId, {
+    step: broadcastAudience(draft) ? "awaiting_filtered_message" : "awaiting_broadcast_message",
+    tempData: broadcastAudience(draft) ? JSON.stringify(broadcastAudience(draft)) : ""
+  });
+  await sendMessage(chatId,
+    formatMessage("✏️ ویرایش پیام", (notice ? `${notice}\n\n` : "") + "پیام جدید (متن یا مدیا) را ارسال کنید:"),
+    { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
+  );
+}
+
+// پیش‌نویس: ادمین پیام را دقیقاً همان‌طور که کاربران می‌بینند دریافت می‌کند و تا تأیید نکند چیزی ارسال نمی‌شود
+async function showBroadcastPreview(chatId, userId, draft) {
+  const request = renderDraftRequest(draft, chatId);
+  const preview = await telegramRequest(request.method, request.payload);
 
-      if (cd === "faq_support") {
-        const content =
-          "📞 <b>چطور با پشتیبانی تماس بگیرم؟</b>\n\n" +
-          "🎫 ارسال تیکت از منوی پشتیبانی (توصیه می‌شود)\n\n" +
-          "📧 ایمیل: support@rbi24.com\n\n" +
-          "⏱ زمان پاسخ‌گویی: ۲۴ تا ۴۸ ساعت کاری";
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("پشتیبانی", content),
-          { inline_keyboard: [[{ text: "↩️ بازگشت به FAQ", callback_data: "faq_menu" }]] }
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        return;
-      }
+  if (!preview.ok) {
+    await restartBroadcastDraft(chatId, userId, draft,
+      `❌ پیش‌نمایش ارسال نشد:\n<code>${escapeHtml(preview.description || "")}</code>`);
+    return;
+  }
 
-      // --- ABOUT ---
-      if (cd === "about_menu") {
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("ℹ️ درباره ما", "برای دریافت اطلاعات بیشتر، یکی از بخش‌ها را انتخاب کنید:"),
-          aboutMenuKeyboard()
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        await logUserAction(userId, "opened_about");
-        return;
-      }
+  await setUserStateFields(userId, { step: "awaiting_broadcast_dispatch", tempData: JSON.stringify(draft) });
+  await sendBroadcastDraftControls(chatId, draft);
+}
 
-      if (cd === "about_mission") {
-        const content =
-          "🎯 <b>ماموریت ما:</b>\n\n" +
-          "سیستم آموزشی RBI24 با هدف:\n" +
-          "• استانداردسازی آموزش‌ها\n" +
-          "• کاهش خطای انسانی\n" +
-          "• یکسان‌سازی پیام‌ها\n" +
-          "• رشد مرحله‌به‌مرحله افراد\n\n" +
-          "طراحی شده است.";
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("ماموریت ما", content),
-          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "about_menu" }]] }
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        return;
-      }
+async function sendBroadcastDraftControls(chatId, draft) {
+  const audience = broadcastAudience(draft);
+  const blocked = await getBlockedUserIds();
+  const total = audience
+    ? (await resolveAudience(audience)).filter(id => !blocked.has(String(id))).length
+    : (await readSheet("Users")).slice(1).filter(r => r[0] && !isBlockedUserRow(r)).length;
+
+  await sendMessage(chatId,
+    formatMessage("👁 پیش‌نمایش پیام",
+      "👆 پیام بالا دقیقاً همان چیزی است که کاربران دریافت می‌کنند.\n\n" +
+      `👥 گیرندگان: <b>${total}</b> کاربر`
+    ),
+    {
+      inline_keyboard: [
+        [
+          { text: "🧪 ارسال تست به من", callback_data: "admin_bc_test" },
+          { text: "✏️ ویرایش", callback_data: "admin_bc_redo" }
+        ],
+        [{ text: `✅ تأیید و ارسال به ${total} کاربر`, callback_data: "admin_bc_send_now" }],
+        [{ text: "⏰ زمان‌بندی ارسال", callback_data: "admin_bc_schedule" }],
+        [{ text: "❌ لغو", callback_data: "admin_close" }]
+      ]
+    }
+  );
+}
 
-      if (cd === "about_structure") {
-        const content =
-          "🏗️ <b>ساختار سازمانی RBI24:</b>\n\n" +
-          "🔹 <b>Starter</b> — مرحله ورود و یادگیری پایه\n\n" +
-          "🔹 <b>Supporter</b> — مرحله اثرگذاری اولیه\n\n" +
-          "🔹 <b>Doer</b> — مرحله اجرا و مسئولیت‌پذیری\n\n" +
-          "🔹 <b>Advisor</b> — مرحله راهبری و هدایت\n\n" +
-          "📌 ارتقای رنک توسط تیم انسانی تعیین می‌شود.";
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("ساختار سازمانی", content),
-          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "about_menu" }]] }
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        return;
-      }
+function scheduleTimePrompt() {
+  return "زمان ارسال را به وقت تهران با فرمت زیر وارد کنید:\n" +
+    "<code>YYYY-MM-DD HH:MM</code>\n\n" +
+    `🕒 اکنون: <code>${formatTehranDateTime(new Date())}</code>`;
+}
 
-      if (cd === "about_rules") {
-        const content =
-          "📜 <b>قوانین و مقررات مهم:</b>\n\n" +
-          "✅ رعایت ادب و احترام در تمام تعاملات\n" +
-          "✅ عدم اشتراک‌گذاری اطلاعات خصوصی\n" +
-          "✅ پیروی از دستورالعمل‌های رسمی\n" +
-          "✅ استفاده از کانال‌های رسمی برای دریافت اطلاعات\n\n" +
-          "❌ هرگونه فعالیت خارج از چارچوب مجاز نیست.";
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("قوانین و مقررات", content),
-          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "about_menu" }]] }
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        return;
-      }
+// ساخت سگمنت: فیلترها در State ادمین نگه داشته می‌شوند و پیام با هر تغییر دوباره رندر می‌شود
+async function handleAdminSegmentBuilder(chatId, userId, messageId, filters, notice) {
+  await setUserStateFields(userId, { step: "building_segment", tempData: JSON.stringify({ filters }) });
 
-      if (cd === "about_channels") {
-        const content =
-          `📡 <b>کانال‌های رسمی RBI24:</b>\n\n` +
-          `🔹 Starter: ${CHANNELS.starter}\n` +
-          `🔹 Supporter: ${CHANNELS.supporter}\n` +
-          `🔹 Doer: ${CHANNELS.doer}\n` +
-          `🔹 Advisor: ${CHANNELS.advisor}\n\n` +
-          `⚠️ فقط این کانال‌ها رسمی هستند.\n` +
-          `در کانال‌های دیگر اطلاعات دریافت نکنید.`;
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("کانال‌های رسمی", content),
-          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "about_menu" }]] }
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        return;
-      }
+  const count = (await computeSegmentRecipients(filters)).length;
+  const toggle = field => {
+    const t = SEGMENT_TOGGLES[field];
+    return { text: `${t.label}: ${filters[field] ? t[filters[field]] : "همه"}`, callback_data: `admin_seg_t_${field}` };
+  };
 
-      // --- SUPPORT ---
-      if (cd === "support_menu") {
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("🛟 پشتیبانی RBI24", "ما همیشه کنار شما هستیم 💙\n\nیکی از گزینه‌ها را انتخاب کنید:"),
-          supportMenuKeyboard()
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        await logUserAction(userId, "opened_support");
-        return;
-      }
+  const text = formatMessage("🎯 پیام فیلتر شده",
+    (notice ? `${notice}\n\n` : "") +
+    `<b>فیلترها:</b>\n${escapeHtml(describeSegment(filters))}\n\n` +
+    `👥 تعداد گیرندگان: <b>${count}</b>`
+  );
+  const keyboard = {
+    inline_keyboard: [
+      [toggle("email")],
+      [toggle("openTicket")],
+      [toggle("invested")],
+      [
+        { text: "📅 تاریخ عضویت", callback_data: "admin_seg_joined" },
+        { text: "📖 درس آموزشی", callback_data: "admin_seg_lessons" }
+      ],
+      [
+        { text: "🟢 فعال در N روز", callback_data: "admin_seg_days_activeDays" },
+        { text: "💤 غیرفعال در N روز", callback_data: "admin_seg_days_inactiveDays" }
+      ],
+      [
+        { text: "💾 ذخیره سگمنت", callback_data: "admin_seg_save" },
+        { text: "📂 سگمنت‌های ذخیره‌شده", callback_data: "admin_seg_saved" }
+      ],
+      [
+        { text: "🔄 پاک کردن فیلترها", callback_data: "admin_seg_reset" },
+        { text: "✍️ ورود دستی ID", callback_data: "admin_seg_manual" }
+      ],
+      [{ text: `➡️ ادامه با ${count} کاربر`, callback_data: "admin_seg_go" }],
+      [{ text: "❌ لغو", callback_data: "admin_close" }]
+    ]
+  };
 
-      if (cd === "support_email") {
-        await editMessageText(chatId, callback.message.message_id,
-          formatMessage("📧 پشتیبانی ایمیلی",
-            "لطفاً با ایمیل زیر تماس بگیرید:\n\n<b>support@rbi24.com</b>\n\n⏱ زمان پاسخ: ۲۴ تا ۴۸ ساعت کاری"
-          ),
-          { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "support_menu" }]] }
-        );
-        await setUserStateFields(userId, { lastMenu: String(callback.message.message_id) });
-        return;
-      }
+  if (messageId) await editMessageText(chatId, messageId, text, keyboard);
+  else await sendMessage(chatId, text, keyboard);
+}
 
-      if (cd === "support_ticket") {
-        const canSend = await canSendTicket(userId);
-        if (!canSend) {
-          await answerCallbackQuery(callback.id, "⚠️ حداکثر ۳ تیکت در ۲۴ ساعت مجاز است.");
-          return;
-        }
+async function handleAdminSavedSegments(chatId, messageId) {
+  const segments = await getSavedSegments();
+  const keyboard = { inline_keyboard: [] };
 
-        const userRec = await getUserById(userId);
-        await deleteMenuIfExists(userId, chatId);
+  for (const seg of segments) {
+    keyboard.inline_keyboard.push([
+      { text: `📂 ${seg.name}`, callback_data: `admin_seg_load_${seg.segmentId}` },
+      { text: "🗑", callback_data: `admin_seg_rm_${seg.segmentId}` }
+    ]);
+  }
+  keyboard.inline_keyboard.push([{ text: "↩️ بازگشت", callback_data: "admin_seg_back" }]);
 
-        if (userRec && userRec.email && userRec.emailConfirmed === "Yes") {
-          await setUserStateFields(userId, { step: "awaiting_ticket_message", tempData: userRec.email });
-          await sendMessage(chatId,
-            formatMessage("🎫 ارسال تیکت",
-              "لطفاً پیام تیکت خود را وارد کنید:\n\n(ایمیل ثبت‌شده شما به‌صورت خودکار ضمیمه می‌شود)"
-            ),
-            { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "back_to_main_send" }]] }
-          );
-        } else {
-          await setUserStateFields(userId, { step: "awaiting_ticket_email_1", tempData: "" });
-          await sendMessage(chatId,
-            formatMessage("🎫 ارسال تیکت", "📧 لطفاً ایمیل خود را وارد کنید:\n(مثال: example@domain.com)"),
-            { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "back_to_main_send" }]] }
-          );
-        }
-        await logUserAction(userId, "started_ticket");
-        return;
+  const content = segments.length
+    ? segments.map(seg => `📂 <b>${escapeHtml(seg.name)}</b>\n${escapeHtml(describeSegment(seg.filters))}`).join("\n\n")
+    : "هنوز سگمنتی ذخیره نشده است.";
+
+  await editMessageText(chatId, messageId, formatMessage("📂 سگمنت‌های ذخیره‌شده", content), keyboard);
+}
+
+async function handleAdminScheduleList(chatId, messageId) {
+  try {
+    const schedules = await getPendingSchedules();
+    const keyboard = { inline_keyboard: [] };
+    let content;
+
+    if (schedules.length === 0) {
+      content = "هیچ ارسال زمان‌بندی‌شده‌ای در انتظار نیست.";
+    } else {
+      content = `<b>${schedules.length} مورد در انتظار</b> (به وقت تهران):\n\n`;
+      for (const s of schedules) {
+        content += `${SCHEDULE_TYPE_LABELS[s.type]}\n🗓 ${s.runAt} | 🆔 <code>${s.scheduleId}</code>\n\n`;
+        keyboard.inline_keyboard.push([
+          { text: `${SCHEDULE_TYPE_LABELS[s.type].split(" ")[0]} ${s.runAt}`, callback_data: `admin_sched_view_${s.scheduleId}` }
+        ]);
       }
+    }
+
+    keyboard.inline_keyboard.push([{ text: "↩️ بازگشت", callback_data: "admin_close" }]);
+    await editMessageText(chatId, messageId, formatMessage("⏰ ارسال‌های زمان‌بندی‌شده", content), keyboard);
+  } catch (e) {
+    console.error("handleAdminScheduleList error:", e.message);
+    await sendMessage(chatId, formatMessage("خطا", "❌ خطا در دریافت لیست زمان‌بندی‌ها."));
+  }
+}
+
+async function handleAdminScheduleView(chatId, messageId, scheduleId) {
+  const schedule = await getSchedule(scheduleId);
+  const back = [{ text: "↩️ بازگشت به لیست", callback_data: "admin_sched_list" }];
+
+  if (!schedule) {
+    await editMessageText(chatId, messageId,
+      formatMessage("خطا", "❌ زمان‌بندی پیدا نشد."),
+      { inline_keyboard: [back] }
+    );
+    return;
+  }
+
+  const recipients = schedule.type !== "filtered" ? "همه کاربران"
+    : schedule.audience.filters ? `سگمنت (${describeSegment(schedule.audience.filters).replace(/\n/g, "، ")})`
+    : `${schedule.audience.targetIds.length} کاربر`;
+  const keyboard = { inline_keyboard: [] };
+
+  if (schedule.status === "Pending") {
+    keyboard.inline_keyboard.push(
+      [
+        { text: "🕒 تغییر زمان", callback_data: `admin_sched_time_${scheduleId}` },
+        { text: "✏️ تغییر محتوا", callback_data: `admin_sched_edit_${scheduleId}` }
+      ],
+      [{ text: "🚫 لغو ارسال", callback_data: `admin_sched_cancel_${scheduleId}` }]
+    );
+  }
+  keyboard.inline_keyboard.push(back);
+
+  await editMessageText(chatId, messageId,
+    formatMessage("⏰ جزئیات زمان‌بندی",
+      `🆔 <code>${scheduleId}</code>\n` +
+      `${SCHEDULE_TYPE_LABELS[schedule.type]}\n` +
+      `🗓 ${schedule.runAt} (تهران)\n` +
+      `👥 گیرندگان: ${schedule.type === "announcement" ? "-" : recipients}\n` +
+      `📌 وضعیت: ${SCHEDULE_STATUS_LABELS[schedule.status] || schedule.status}\n\n` +
+      `📝 محتوا:\n${escapeHtml(scheduleContentSummary(schedule))}`
+    ),
+    keyboard
+  );
+}
+
+async function updatePendingSchedule(chatId, scheduleId, change) {
+  const schedule = await getSchedule(scheduleId || "");
+  const keyboard = { inline_keyboard: [[{ text: "⏰ ارسال‌های زمان‌بندی‌شده", callback_data: "admin_sched_list" }]] };
+
+  if (!schedule || schedule.status !== "Pending") {
+    await sendMessage(chatId, formatMessage("خطا", "❌ این زمان‌بندی دیگر قابل ویرایش نیست."), keyboard);
+    return;
+  }
+
+  change(schedule);
+  await saveSchedule(schedule);
+  await sendMessage(chatId,
+    formatMessage("✅ زمان‌بندی به‌روز شد",
+      `🆔 <code>${scheduleId}</code>\n🗓 ${schedule.runAt} (تهران)\n\n📝 ${escapeHtml(scheduleContentSummary(schedule))}`
+    ),
+    keyboard
+  );
+}
+
+async function dispatchBroadcastDraft(chatId, draft) {
+  const audience = broadcastAudience(draft);
+  if (audience) await handleFilteredBroadcast(chatId, audience, draft.content);
+  else await handleBroadcast(chatId, draft.content);
+}
+
+async function startBroadcast(chatId, type, recipients, content) {
+  // کاربران مسدود شده از هر نوع ارسال انبوه (همگانی، فیلتر شده، زمان‌بندی‌شده) حذف می‌شوند
+  const blocked = await getBlockedUserIds();
+  recipients = recipients.filter(id => !blocked.has(String(id)));
+
+  const job = await createBroadcastJob(type, chatId, recipients, content);
+  await logAdminAction(chatId, `broadcast_${type}`, job.jobId, `${recipients.length} گیرنده | ${broadcastContentSummary(content)}`);
+  await launchBroadcastJob(chatId, job);
+}
+
+// ========================================
+// BROADCAST CONTENT
+// ========================================
+// محتوای پیام همگانی به صورت JSON ذخیره می‌شود تا بعداً (resume، زمان‌بندی یا ویرایش) بدون
+// نیاز به پیام اصلی در چت ادمین قابل ارسال باشد: متن با قالب formatMessage، مدیا با file_id
+// و caption، و پست فوروارد شده با قالب‌بندی (entities) خودش. دکمه‌های لینک‌دار اختیاری‌اند.
+
+const MEDIA_SEND_METHODS = {
+  photo: { method: "sendPhoto", field: "photo" },
+  video: { method: "sendVideo", field: "video" },
+  document: { method: "sendDocument", field: "document" },
+  animation: { method: "sendAnimation", field: "animation" },
+  audio: { method: "sendAudio", field: "audio" },
+  voice: { method: "sendVoice", field: "voice" },
+  sticker: { method: "sendSticker", field: "sticker" },
+  video_note: { method: "sendVideoNote", field: "video_note" }
+};
+
+const UNSUPPORTED_BROADCAST_MESSAGE =
+  "❌ این نوع پیام برای ارسال همگانی پشتیبانی نمی‌شود.\n\n" +
+  "متن، عکس، ویدیو، فایل، گیف، صوت، ویس، استیکر یا پست فوروارد شده ارسال کنید.";
+
+const MEDIA_LABELS = {
+  photo: "🖼 عکس",
+  video: "🎬 ویدیو",
+  document: "📎 فایل",
+  animation: "🎞 گیف",
+  audio: "🎵 صوت",
+  voice: "🎤 ویس",
+  sticker: "💟 استیکر",
+  video_note: "⏺ ویدیو مسیج"
+};
+
+// null یعنی این نوع پیام (نظرسنجی، موقعیت و ...) برای ارسال همگانی پشتیبانی نمی‌شود
+function extractBroadcastContent(message) {
+  if (message.text) {
+    // متن پست فوروارد شده (مثلاً از کانال) بدون عنوان و با همان قالب‌بندی فرستاده می‌شود
+    if (message.forward_origin || message.forward_from_chat) {
+      return { kind: "text", text: message.text, entities: message.entities || [], forwarded: true };
+    }
+    return { kind: "text", text: message.text };
+  }
+
+  for (const kind of Object.keys(MEDIA_SEND_METHODS)) {
+    if (!message[kind]) continue;
+    // برای عکس بزرگ‌ترین سایز آخر آرایه است
+    const media = Array.isArray(message[kind]) ? message[kind][message[kind].length - 1] : message[kind];
+    return {
+      kind,
+      fileId: media.file_id,
+      caption: message.caption || "",
+      captionEntities: message.caption_entities || null
+    };
+  }
+
+  return null;
+}
+
+// پیام‌های قدیمی فقط متن خام در ستون Message دارند
+function parseBroadcastContent(stored) {
+  const parsed = parseJsonSafe(stored, null);
+  if (parsed && parsed.kind) return parsed;
+  return { kind: "text", text: String(stored || "") };
+}
+
+function normalizeBroadcastContent(content) {
+  return typeof content === "string" ? { kind: "text", text: content } : content;
+}
+
+function broadcastContentSummary(content) {
+  if (content.kind === "text") return content.text;
+  const label = MEDIA_LABELS[content.kind] || content.kind;
+  return content.caption ? `${label}: ${content.caption}` : label;
+}
+
+function broadcastReplyMarkup(content) {
+  return content.buttons && content.buttons.length ? { inline_keyboard: content.buttons } : undefined;
+}
+
+// هر خط: «متن دکمه | لینک» - هر دکمه در یک ردیف جدا
+function parseBroadcastButtons(text) {
+  const rows = [];
+  const lines = text.split("\n").map(l => l.trim()).filter(Boolean);
+
+  for (let i = 0; i < lines.length; i++) {
+    const sep = lines[i].lastIndexOf("|");
+    const label = sep > -1 ? lines[i].slice(0, sep).trim() : "";
+    const url = sep > -1 ? lines[i].slice(sep + 1).trim() : "";
+
+    if (!label || !/^(https?:\/\/|tg:\/\/)\S+$/i.test(url)) {
+      return { error: `خط ${i + 1}: <code>${escapeHtml(lines[i])}</code>` };
+    }
+    rows.push([{ text: label, url }]);
+  }
+
+  return { buttons: rows };
+}
+
+function buildBroadcastRequest(content, title, chatId) {
+  const reply_markup = broadcastReplyMarkup(content);
+
+  if (content.kind === "text" && content.forwarded) {
+    return {
+      method: "sendMessage",
+      payload: { chat_id: String(chatId), text: content.text, entities: content.entities, reply_markup }
+    };
+  }
+
+  if (content.kind === "text") {
+    return {
+      method: "sendMessage",
+      payload: { chat_id: String(chatId), text: formatMessage(title, content.text), parse_mode: 'HTML', reply_markup }
+    };
+  }
+
+  const media = MEDIA_SEND_METHODS[content.kind];
+  const payload = { chat_id: String(chatId), [media.field]: content.fileId, reply_markup };
+  if (content.caption) {
+    payload.caption = content.caption;
+    if (content.captionEntities) payload.caption_entities = content.captionEntities;
+  }
+  return { method: media.method, payload };
+}
+
+// ========================================
+// BROADCAST JOBS
+// ========================================
+// هر پیام همگانی یک job ذخیره‌شده است: ردیف BroadcastJobs + یک ردیف برای هر گیرنده
+// در BroadcastQueue با وضعیت Pending/Sent/Failed. اجرای job ها پشت سر هم است،
+// سرعت ارسال با 429 تلگرام (retry_after) تنظیم می‌شود و بعد از ری‌استارت
+// job های ناتمام از اولین گیرنده Pending ادامه پیدا می‌کنند.
+// حذف و ویرایش پیام ارسال‌شده هم job هستند (recall/edit)؛ در صف آن‌ها ستون MessageID
+// شناسه پیام قبلی کاربر است و Sent یعنی عملیات روی آن پیام انجام شد.
+
+const BROADCAST_MIN_DELAY_MS = Number(process.env.BROADCAST_MIN_DELAY_MS || 40);
+const BROADCAST_MAX_DELAY_MS = 2000;
+const BROADCAST_MAX_ATTEMPTS = 5;
+const BROADCAST_PROGRESS_EVERY_MS = 3000;
+// حداکثر انتظار shutdown برای تمام شدن پیامی که همان لحظه در حال ارسال است
+const BROADCAST_SHUTDOWN_WAIT_MS = 5000;
+// سقف هر خانه در Google Sheets ۵۰٬۰۰۰ کاراکتر است
+const FILTERED_LOG_MAX_CHARS = 40000;
+
+const BROADCAST_TITLES = {
+  all: "اطلاعیه رسمی RBI24",
+  filtered: "📨 پیام اختصاصی RBI24"
+};
+
+const BROADCAST_MAINTENANCE_JOBS = {
+  recall: { prefix: "RC", title: "🗑 حذف پیام همگانی", doneLabel: "🗑 حذف شد" },
+  edit: { prefix: "ED", title: "✏️ ویرایش پیام همگانی", doneLabel: "✏️ ویرایش شد" }
+};
 
-      return;
-    } // end if (callback)
+let broadcastWorker = Promise.resolve();
+let broadcastStopping = false;
+
+function broadcastJobToRow(job) {
+  return [
+    job.jobId,
+    job.type,
+    job.status,
+    job.message,
+    job.total,
+    job.sent,
+    job.failed,
+    job.adminChatId,
+    job.progressMessageId,
+    job.createdAt,
+    job.finishedAt
+  ];
+}
 
+async function getBroadcastJob(jobId) {
+  const found = await findRowByFirstCol("BroadcastJobs", jobId);
 
-    // ========================================
-    // TEXT MESSAGE HANDLERS
-    // ========================================
-    
-    const state = await getUserState(userId);
-    const step = state.step || "";
+  if (!found) return null;
 
-    //// --- ADMIN: /admin command ---
-    if (String(userId) === String(ADMIN_CHAT_ID) && text === "/admin") {
-      await deleteMenuIfExists(userId, chatId);
-      const mid = await sendMessage(chatId,
-        formatMessage("🔐 پنل مدیریت RBI24",
-          `👋 خوش آمدید\n\n` +
-          `🕐 ${getNow()}\n\n` +
-          `برای مدیریت، یکی از گزینه‌های زیر را انتخاب کنید:`
-        ),
-        adminMenuKeyboard()
-      );
-      if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
-      return;
-    }
+  const row = found.row;
+  return {
+    jobId: row[0],
+    type: row[1] || "all",
+    status: row[2] || "Queued",
+    message: row[3] || "",
+    total: Number(row[4] || 0),
+    sent: Number(row[5] || 0),
+    failed: Number(row[6] || 0),
+    adminChatId: row[7] || "",
+    progressMessageId: row[8] || "",
+    createdAt: row[9] || "",
+    finishedAt: row[10] || "",
+    rowIndex: found.rowNumber
+  };
+}
 
-    // --- ADMIN: /announce ---
-    if (String(userId) === String(ADMIN_CHAT_ID) && text && text.startsWith("/announce ")) {
-      const parts = text.replace("/announce ", "").split("|");
-      const title = (parts[0] || "").trim();
-      const msg = (parts[1] || "").trim();
+async function saveBroadcastJob(job) {
+  await updateRow("BroadcastJobs", job.rowIndex, broadcastJobToRow(job));
+}
 
-      if (!title || !msg) {
-        await sendMessage(chatId, formatMessage("خطا",
-          "فرمت صحیح:\n<code>/announce عنوان | متن اطلاعیه</code>"
-        ));
-        return;
-      }
+// messageIds (اختیاری، هم‌ترتیب recipientIds) فقط برای job های recall/edit
+async function createBroadcastJob(type, adminChatId, recipientIds, content, messageIds = []) {
+  const maintenance = BROADCAST_MAINTENANCE_JOBS[type];
+  const prefix = maintenance ? maintenance.prefix : type === "filtered" ? "FBC" : "BC";
+  const job = {
+    jobId: `${prefix}_${Date.now()}`,
+    type,
+    status: "Queued",
+    message: JSON.stringify(content),
+    total: recipientIds.length,
+    sent: 0,
+    failed: 0,
+    adminChatId: String(adminChatId),
+    progressMessageId: "",
+    createdAt: getNow(),
+    finishedAt: ""
+  };
 
-      const id = `ANN_${Date.now()}`;
-      await appendRow("Announcements", [id, title, msg, getNow(), "Yes"]);
-      await sendMessage(chatId, formatMessage("✅ اطلاعیه ثبت شد",
-        `عنوان: ${title}\n\nمتن: ${msg}`
-      ));
-      return;
-    }
+  await appendRow("BroadcastJobs", broadcastJobToRow(job));
+  for (let i = 0; i < recipientIds.length; i++) {
+    await appendRow("BroadcastQueue", [job.jobId, recipientIds[i], "Pending", messageIds[i] || "", 0, "", ""]);
+  }
+  // گیرنده‌ها قبل از شروع ارسال ذخیره شوند تا در صورت ری‌استارت از دست نروند
+  await flushWrites();
 
-    // --- ADMIN: Broadcast ---
-    if (String(userId) === String(ADMIN_CHAT_ID) && step === "awaiting_broadcast_message" && text) {
-      await handleBroadcast(chatId, text);
-      await clearUserState(userId);
-      return;
-    }
+  return getBroadcastJob(job.jobId);
+}
 
-    // --- ADMIN: Filtered Broadcast - دریافت لیست ID ها ---
-    if (String(userId) === String(ADMIN_CHAT_ID) && step === "awaiting_filtered_ids" && text) {
-      // پارس کردن ID ها (با خط جدید یا کاما)
-      const rawIds = text.replace(/,/g, "\n").split("\n")
-        .map(s => s.trim())
-        .filter(s => s.length > 0);
+function formatBroadcastProgress(job) {
+  const done = job.sent + job.failed;
+  const percent = job.total > 0 ? Math.floor((done / job.total) * 100) : 100;
+  const filled = Math.round(percent / 10);
+  const maintenance = BROADCAST_MAINTENANCE_JOBS[job.type];
+  const statusLabel = {
+    Queued: "⏳ در صف",
+    Running: maintenance ? "⚙️ در حال اجرا" : "📤 در حال ارسال",
+    Done: "✅ پایان یافت"
+  }[job.status] || job.status;
+  const title = maintenance ? maintenance.title
+    : job.type === "filtered" ? "🎯 ارسال پیام فیلتر شده" : "📢 ارسال پیام همگانی";
+
+  return formatMessage(title,
+    `${statusLabel}\n\n` +
+    `${"▓".repeat(filled)}${"░".repeat(10 - filled)} ${percent}%\n\n` +
+    `${maintenance ? maintenance.doneLabel : "✅ ارسال شد"}: ${job.sent}\n` +
+    `❌ ناموفق: ${job.failed}\n` +
+    `⏳ باقی‌مانده: ${Math.max(0, job.total - done)}\n` +
+    `🆔 شناسه: ${job.jobId}`
+  );
+}
 
-      if (rawIds.length === 0) {
-        await sendMessage(chatId, formatMessage("خطا", "❌ هیچ ID معتبری یافت نشد."));
-        await clearUserState(userId);
-        return;
-      }
+async function updateBroadcastProgress(job) {
+  if (!job.adminChatId || !job.progressMessageId) return;
+  await telegramRequest('editMessageText', {
+    chat_id: String(job.adminChatId),
+    message_id: Number(job.progressMessageId),
+    text: formatBroadcastProgress(job),
+    parse_mode: 'HTML'
+  });
+}
 
-      await setUserStateFields(userId, {
-        step: "awaiting_filtered_message",
-        tempData: rawIds.join(",")
-      });
+// ارسال یک پیام با رعایت محدودیت flood تلگرام؛ throttle.delay بین پیام‌ها تطبیقی است
+async function sendWithFloodControl(method, payload, throttle) {
+  let result = null;
 
-      await sendMessage(chatId,
-        formatMessage("🎯 پیام فیلتر شده",
-          `✅ ${rawIds.length} کاربر انتخاب شد.\n\nحالا متن پیام را ارسال کنید:`
-        ),
-        { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
-      );
-      return;
+  for (let attempt = 1; attempt <= BROADCAST_MAX_ATTEMPTS; attempt++) {
+    result = await telegramRequest(method, payload);
+
+    if (result.ok) {
+      throttle.delay = Math.max(BROADCAST_MIN_DELAY_MS, Math.floor(throttle.delay * 0.95));
+      return result;
     }
 
-    // --- ADMIN: Filtered Broadcast - ارسال پیام ---
-    if (String(userId) === String(ADMIN_CHAT_ID) && step === "awaiting_filtered_message" && text) {
-      const targetIds = (state.tempData || "").split(",").filter(s => s.trim());
-      await handleFilteredBroadcast(chatId, targetIds, text);
-      await clearUserState(userId);
-      return;
+    if (result.error_code === 429) {
+      const retryAfter = Number(result.parameters?.retry_after || 1);
+      throttle.delay = Math.min(BROADCAST_MAX_DELAY_MS, throttle.delay * 2);
+      console.warn(`⏳ Flood limit hit, waiting ${retryAfter}s (delay now ${throttle.delay}ms)`);
+      await sleep(retryAfter * 1000);
+      continue;
     }
 
-    // --- ADMIN: Ticket reply ---
-    if (String(userId) === String(ADMIN_CHAT_ID) && step === "awaiting_ticket_reply" && text) {
-      const ticketId = state.tempData || "";
-      const tickets = await readSheet("Tickets");
-      let ticketRowIdx = -1;
-      let ticketRow = null;
+    // خطای شبکه یا سرور تلگرام: با کمی صبر دوباره تلاش کن
+    if (!result.error_code || result.error_code >= 500) {
+      await sleep(1000 * attempt);
+      continue;
+    }
 
-      for (let i = 1; i < tickets.length; i++) {
-        if (String(tickets[i][0]) === String(ticketId)) {
-          ticketRowIdx = i;
-          ticketRow = tickets[i];
-          break;
-        }
-      }
+    // 400/403 (کاربر ربات را بلاک کرده و ...) - تلاش مجدد فایده ندارد
+    return result;
+  }
 
-      if (!ticketRow) {
-        await sendMessage(chatId, formatMessage("خطا", "❌ تیکت پیدا نشد."));
-        await clearUserState(userId);
-        return;
-      }
+  return result;
+}
 
-      const targetUserId = ticketRow[1];
-      const email = ticketRow[2] || "";
-      const now = getNow();
+// یک ردیف صف job حذف/ویرایش؛ logIndex ردیف‌های BroadcastLogs پیام اصلی با کلید «کاربر:پیام»
+async function runBroadcastMaintenanceItem(job, task, row, throttle, logIndex) {
+  const target = { chat_id: String(row[1]), message_id: Number(row[3]) };
+
+  if (job.type === "recall") {
+    const r = await sendWithFloodControl('deleteMessage', target, throttle);
+    // پیامی که کاربر خودش پاک کرده هم حذف‌شده حساب می‌شود
+    const gone = !!r && (r.ok || /message to delete not found/i.test(r.description || ""));
+    const log = logIndex.get(`${row[1]}:${row[3]}`);
+    if (gone && log) {
+      log.row[4] = "Yes";
+      await updateRow("BroadcastLogs", log.rowNumber, log.row);
+    }
+    return { ok: gone, description: r && r.description };
+  }
 
-      ticketRow[4] = text;
-      ticketRow[6] = now;
-      ticketRow[7] = "No";
-      await updateRow("Tickets", ticketRowIdx + 1, ticketRow);
+  const r = await sendWithFloodControl(task.method, { ...target, ...task.edit }, throttle);
+  return { ok: !!r && (r.ok || /message is not modified/i.test(r.description || "")), description: r && r.description };
+}
 
-      try {
-        await sendMessage(targetUserId,
-          formatMessage("📢 پاسخ تیکت",
-            `شماره تیکت: <code>${ticketId}</code>\n\n${text}`
-          ),
-          { inline_keyboard: [[{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]] }
-        );
-        ticketRow[7] = "Yes";
-        await updateRow("Tickets", ticketRowIdx + 1, ticketRow);
-      } catch (e) {
-        console.error("ticket reply send failed:", e.message);
-      }
+async function runBroadcastJob(jobId) {
+  const job = await getBroadcastJob(jobId);
+  if (!job || job.status === "Done" || broadcastStopping) return;
 
-      await clearUserState(userId);
-      await sendMessage(chatId,
-        formatMessage("✅ پاسخ ارسال شد",
-          `پاسخ به تیکت ${ticketId} با موفقیت ارسال شد.`
-        ),
-        adminMenuKeyboard()
-      );
-      return;
-    }
+  const queue = await readSheet("BroadcastQueue");
+  const pending = [];
+  job.sent = 0;
+  job.failed = 0;
 
-    // --- /START ---
-    if (text === "/start") {
-      await deleteMenuIfExists(userId, chatId);
-      const user = await getUserById(userId);
+  for (let i = 1; i < queue.length; i++) {
+    const row = queue[i];
+    if (String(row[0]) !== String(jobId)) continue;
 
-      if (user && user.email && user.emailConfirmed === "Yes") {
-        const mid = await sendMessage(chatId, 
-          formatMessage("خوش آمدید به RBI24", `سلام ${firstName} عزیز 👋\n\nلطفاً یکی از گزینه‌های زیر را انتخاب کنید:`), 
-          mainMenuKeyboard()
-        );
-        if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
-        await logUserAction(userId, "start_command");
-      } else {
-        await setUserStateFields(userId, { step: "awaiting_email_1", tempData: "" });
-        await sendMessage(chatId, 
-          formatMessage("خوش آمدید", "🌟 سلام! برای شروع، لطفاً ایمیل خود را وارد کنید:\n\n(مثال: example@domain.com)")
-        );
-        await logUserAction(userId, "start_new_user");
-      }
-      
-      return;
-    }
+    if (row[2] === "Sent") job.sent++;
+    else if (row[2] === "Failed") job.failed++;
+    else pending.push({ row, rowNumber: i + 1 });
+  }
 
-    // --- EMAIL REGISTRATION (Step 1) ---
-    if (step === "awaiting_email_1" && text) {
-      if (!isValidEmail(text)) {
-        await sendMessage(chatId, 
-          formatMessage("ایمیل نامعتبر", "❌ لطفاً یک ایمیل معتبر وارد کنید:\n\n(مثال: example@domain.com)")
-        );
-        return;
-      }
-      
-      const users = await readSheet("Users");
-      const exists = users.find((r, i) => 
-        i > 0 && 
-        String(r[4] || "").toLowerCase() === text.toLowerCase() && 
-        String(r[0]) !== String(userId)
-      );
-      
-      if (exists) {
-        await sendMessage(chatId, 
-          formatMessage("ایمیل تکراری", "❌ این ایمیل قبلاً توسط کاربر دیگری ثبت شده است.\n\nلطفاً ایمیل دیگری وارد کنید:")
-        );
-        return;
+  job.status = "Running";
+  await saveBroadcastJob(job);
+  await updateBroadcastProgress(job);
+
+  const throttle = { delay: BROADCAST_MIN_DELAY_MS };
+  const maintenance = BROADCAST_MAINTENANCE_JOBS[job.type];
+  const task = maintenance ? parseJsonSafe(job.message, {}) : null;
+  const content = maintenance ? null : parseBroadcastContent(job.message);
+  const title = BROADCAST_TITLES[job.type] || BROADCAST_TITLES.all;
+  const logIndex = new Map();
+  let lastProgressAt = Date.now();
+
+  if (job.type === "recall") {
+    const logs = await readSheet("BroadcastLogs");
+    for (let i = 1; i < logs.length; i++) {
+      if (String(logs[i][0]) === String(task.broadcastId)) {
+        logIndex.set(`${logs[i][1]}:${logs[i][2]}`, { row: logs[i], rowNumber: i + 1 });
       }
-      
-      await setUserStateFields(userId, { step: "awaiting_email_2", tempData: text });
-      await sendMessage(chatId, 
-        formatMessage("تایید ایمیل", "✅ لطفاً ایمیل خود را مجدداً وارد کنید تا از صحت آن اطمینان حاصل شود:")
-      );
-      return;
     }
+  }
 
-    // --- EMAIL REGISTRATION (Step 2 - Confirm) ---
-    if (step === "awaiting_email_2" && text) {
-      const firstEmail = state.tempData || "";
-      
-      if (text.toLowerCase() !== firstEmail.toLowerCase()) {
-        await sendMessage(chatId, 
-          formatMessage("عدم تطابق", "❌ ایمیل وارد شده با ایمیل قبلی مطابقت ندارد.\n\nلطفاً دوباره از ابتدا ایمیل خود را وارد کنید:")
-        );
-        await setUserStateFields(userId, { step: "awaiting_email_1", tempData: "" });
-        return;
-      }
-      
-      await registerOrUpdateUser(userId, firstName, lastName, username, firstEmail, "Yes");
-      
-      if (await canSendEmailToUser(userId, firstEmail)) {
-        await sendEmailSafe(firstEmail, "خوش آمدید به RBI24", 
-          `<p>سلام ${firstName} عزیز،</p><p>به سیستم آموزشی RBI24 خوش آمدید!</p>`
-        );
-      }
-      
-      await deleteMenuIfExists(userId, chatId);
-      const mid = await sendMessage(chatId, 
-        formatMessage("ثبت‌نام موفق", `✅ ایمیل شما با موفقیت ثبت شد!\n\nحالا می‌توانید از منوها استفاده کنید.`), 
-        mainMenuKeyboard()
-      );
-      if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
-      await clearUserState(userId);
-      await logUserAction(userId, "email_registered");
+  for (const { row, rowNumber } of pending) {
+    // خاموش شدن: job در وضعیت Running می‌ماند و بعد از ری‌استارت از اولین Pending ادامه می‌یابد
+    if (broadcastStopping) {
+      await saveBroadcastJob(job);
       return;
     }
 
-    // Continue in next part...
+    const targetId = row[1];
+    let result;
+    if (maintenance) {
+      result = await runBroadcastMaintenanceItem(job, task, row, throttle, logIndex);
+    } else {
+      const request = buildBroadcastRequest(content, title, targetId);
+      result = await sendWithFloodControl(request.method, request.payload, throttle);
+    }
 
-    // --- TICKET: Email Step 1 ---
-    if (step === "awaiting_ticket_email_1" && text) {
-      if (!isValidEmail(text)) {
-        await sendMessage(chatId,
-          formatMessage("ایمیل نامعتبر", "❌ لطفاً یک ایمیل معتبر وارد کنید:\n\n(مثال: example@domain.com)")
-        );
-        return;
+    row[4] = Number(row[4] || 0) + 1;
+    row[5] = getNow();
+
+    if (result && result.ok) {
+      row[2] = "Sent";
+      row[6] = "";
+      job.sent++;
+      if (!maintenance) {
+        const mid = result.result.message_id;
+        row[3] = mid;
+        await appendRow("BroadcastLogs", [jobId, targetId, mid, getNow(), "No"]);
       }
+    } else {
+      row[2] = "Failed";
+      row[6] = (result && result.description) || "unknown error";
+      job.failed++;
+    }
+    await updateRow("BroadcastQueue", rowNumber, row);
 
-      await setUserStateFields(userId, { step: "awaiting_ticket_email_2", tempData: text });
-      await sendMessage(chatId,
-        formatMessage("تایید ایمیل", "✅ لطفاً ایمیل خود را مجدداً وارد کنید تا از صحت آن اطمینان حاصل شود:")
-      );
-      return;
+    if (Date.now() - lastProgressAt >= BROADCAST_PROGRESS_EVERY_MS) {
+      lastProgressAt = Date.now();
+      await saveBroadcastJob(job);
+      await flushWrites();
+      await updateBroadcastProgress(job);
     }
 
-    // --- TICKET: Email Step 2 (Confirm) ---
-    if (step === "awaiting_ticket_email_2" && text) {
-      const firstEmail = state.tempData || "";
+    await sleep(throttle.delay);
+  }
 
-      if (text.toLowerCase() !== firstEmail.toLowerCase()) {
-        await sendMessage(chatId,
-          formatMessage("عدم تطابق", "❌ ایمیل وارد شده مطابقت ندارد.\n\nلطفاً از ابتدا وارد کنید:")
-        );
-        await setUserStateFields(userId, { step: "awaiting_ticket_email_1", tempData: "" });
-        return;
-      }
+  job.status = "Done";
+  job.finishedAt = getNow();
+  await saveBroadcastJob(job);
+  await updateBroadcastProgress(job);
 
-      await setUserStateFields(userId, { step: "awaiting_ticket_message", tempData: firstEmail });
-      await sendMessage(chatId,
-        formatMessage("پیام تیکت", "🎫 لطفاً پیام تیکت خود را وارد کنید:"),
-        { inline_keyboard: [[{ text: "↩️ لغو", callback_data: "back_to_main_send" }]] }
-      );
-      return;
+  if (job.type === "filtered") {
+    // ذخیره لاگ خلاصه
+    // لیست کامل گیرندگان در BroadcastQueue هست؛ اینجا فقط اگر در یک خانه شیت جا شود
+    const targetIds = queue.filter((r, i) => i > 0 && String(r[0]) === String(jobId)).map(r => r[1]);
+    const joined = targetIds.join(",");
+    await appendRow("FilteredBroadcast", [
+      jobId,
+      joined.length <= FILTERED_LOG_MAX_CHARS ? joined : `${targetIds.length} گیرنده (لیست در BroadcastQueue)`,
+      broadcastContentSummary(content).substring(0, 100),
+      job.createdAt,
+      job.sent
+    ]);
+  }
+
+  if (maintenance) {
+    await sendMessage(job.adminChatId,
+      formatMessage(maintenance.title,
+        `✅ موفق: ${job.sent}\n❌ ناموفق: ${job.failed}\n🆔 شناسه: ${task.broadcastId}`
+      ),
+      { inline_keyboard: [[{ text: "↩️ بازگشت به لیست", callback_data: "admin_bc_list_0" }]] }
+    );
+    return;
+  }
+
+  await sendMessage(job.adminChatId,
+    formatMessage("✅ نتیجه ارسال",
+      `✅ ارسال موفق: ${job.sent}\n❌ ناموفق: ${job.failed}\n🆔 شناسه: ${jobId}`
+    ),
+    adminMenuKeyboard(await getAdminRole(job.adminChatId))
+  );
+}
+
+function startBroadcastJob(jobId) {
+  broadcastWorker = broadcastWorker
+    .then(() => runBroadcastJob(jobId))
+    .catch(e => {
+      console.error(`❌ broadcast job ${jobId} failed:`, e);
+      sendMessage(ADMIN_CHAT_ID, `⚠️ Broadcast ${jobId} stopped:\n${String(e)}`).catch(() => {});
+    });
+  return broadcastWorker;
+}
+
+// پیام پیشرفت برای ادمین و افزودن job به صف اجرا
+async function launchBroadcastJob(chatId, job) {
+  const mid = await sendMessage(chatId, formatBroadcastProgress(job));
+
+  if (mid) {
+    job.progressMessageId = String(mid);
+    await saveBroadcastJob(job);
+  }
+
+  startBroadcastJob(job.jobId);
+}
+
+// ادامه job هایی که قبل از ری‌استارت تمام نشده بودند
+async function resumeBroadcastJobs() {
+  const jobs = await readSheet("BroadcastJobs");
+  let resumed = 0;
+
+  for (let i = 1; i < jobs.length; i++) {
+    const status = jobs[i][2] || "";
+    if (status === "Queued" || status === "Running") {
+      startBroadcastJob(jobs[i][0]);
+      resumed++;
     }
+  }
 
-    // --- TICKET: Message ---
-    if (step === "awaiting_ticket_message" && text) {
-      const email = state.tempData || "";
-      const tid = `TKT_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
-      const createdAt = getNow();
+  if (resumed > 0) console.log(`✅ Resuming ${resumed} broadcast job(s)`);
+}
 
-      await appendRow("Tickets", [tid, userId, email, text, "", createdAt, "", "No"]);
-      await clearUserState(userId);
-      await deleteMenuIfExists(userId, chatId);
+// ========================================
+// BROADCAST RECALL / EDIT
+// ========================================
 
-      await sendMessage(chatId,
-        formatMessage("تیکت ثبت شد",
-          `✅ تیکت شما با موفقیت ثبت شد!\n\n🔖 شماره تیکت: <code>${tid}</code>\n\nتیم پشتیبانی به زودی پاسخ خواهد داد.`
-        ),
-        { inline_keyboard: [[{ text: "↩️ بازگشت به منوی اصلی", callback_data: "back_to_main_send" }]] }
-      );
+const BROADCAST_LIST_PAGE_SIZE = 8;
 
-      await sendMessage(ADMIN_CHAT_ID,
-        `🎫 <b>تیکت جدید!</b>\n` +
-        `👤 کاربر: ${firstName} (@${username || "ندارد"})\n` +
-        `🆔 UserID: ${userId}\n` +
-        `📧 ایمیل: ${email}\n` +
-        `📝 متن:\n${text}\n` +
-        `🔖 شناسه: ${tid}\n\n` +
-        `برای پاسخ: /reply_${tid}`
-      );
+function broadcastTypeOf(broadcastId) {
+  return String(broadcastId).startsWith("FBC_") ? "filtered" : "all";
+}
 
-      if (await canSendEmailToUser(userId, email)) {
-        await sendEmailSafe(email, "تیکت شما دریافت شد - RBI24",
-          `<p>سلام ${firstName} عزیز،</p><p>تیکت شما دریافت شد. به زودی پاسخ خواهید گرفت.</p><p>شماره تیکت: ${tid}</p>`
-        );
-      }
+// خلاصه پیام‌های ارسال‌شده از روی BroadcastLogs (جدیدترین اول)
+async function getBroadcastSummaries() {
+  const logs = await readSheet("BroadcastLogs");
+  const map = new Map();
 
-      await logUserAction(userId, "ticket_submitted");
-      return;
+  for (let i = 1; i < logs.length; i++) {
+    const id = logs[i][0];
+    if (!id) continue;
+
+    if (!map.has(id)) map.set(id, { broadcastId: id, total: 0, deleted: 0, sentAt: logs[i][3] || "" });
+    const summary = map.get(id);
+    summary.total++;
+    if (String(logs[i][4]).toLowerCase() === "yes") summary.deleted++;
+  }
+
+  return [...map.values()].reverse();
+}
+
+async function getBroadcastText(broadcastId) {
+  const job = await getBroadcastJob(broadcastId);
+  if (job) return broadcastContentSummary(parseBroadcastContent(job.message));
+
+  // پیام‌های قدیمی‌تر از BroadcastJobs؛ فقط ۱۰۰ کاراکتر اول در FilteredBroadcast مانده
+  const found = await findRowByFirstCol("FilteredBroadcast", broadcastId);
+  return found ? found.row[2] || "" : "";
+}
+
+// فقط پیام متنی ویرایش می‌شود؛ مدیا و پست فوروارد شده فقط قابل حذف‌اند. پیام‌های قدیمی بدون job متنی‌اند.
+function isBroadcastEditable(job) {
+  if (!job) return true;
+  const content = parseBroadcastContent(job.message);
+  return content.kind === "text" && !content.forwarded;
+}
+
+// job حذف/ویرایش برای همه پیام‌های حذف‌نشده یک broadcast؛ اجرا در broadcastWorker
+async function queueBroadcastMaintenance(chatId, type, broadcastId, task) {
+  const logs = await readSheet("BroadcastLogs");
+  const userIds = [];
+  const messageIds = [];
+
+  for (let i = 1; i < logs.length; i++) {
+    const row = logs[i];
+    if (String(row[0]) === String(broadcastId) && String(row[4]).toLowerCase() !== "yes") {
+      userIds.push(row[1]);
+      messageIds.push(row[2]);
     }
+  }
 
-    // --- ADMIN: Reply to ticket via /reply_TICKETID ---
-    if (String(userId) === String(ADMIN_CHAT_ID) && text && text.startsWith("/reply_")) {
-      const ticketId = text.replace("/reply_", "").trim();
-      await setUserStateFields(userId, { step: "awaiting_ticket_reply", tempData: ticketId });
-      await sendMessage(chatId,
-        formatMessage("پاسخ تیکت", `در حال پاسخ به تیکت:\n<code>${ticketId}</code>\n\nمتن پاسخ خود را وارد کنید:`),
-        { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin_close" }]] }
-      );
-      return;
+  const job = await createBroadcastJob(type, chatId, userIds, { broadcastId, ...task }, messageIds);
+  await launchBroadcastJob(chatId, job);
+}
+
+async function recallBroadcast(chatId, broadcastId) {
+  await queueBroadcastMaintenance(chatId, "recall", broadcastId, {});
+}
+
+async function editBroadcastEverywhere(chatId, broadcastId, newText) {
+  const job = await getBroadcastJob(broadcastId);
+  const type = job ? job.type : broadcastTypeOf(broadcastId);
+  const content = job ? parseBroadcastContent(job.message) : { kind: "text" };
+  content.text = newText;
+
+  // دکمه‌ها باید دوباره فرستاده شوند تا با ویرایش متن حذف نشوند
+  await queueBroadcastMaintenance(chatId, "edit", broadcastId, {
+    method: 'editMessageText',
+    edit: {
+      text: formatMessage(BROADCAST_TITLES[type], newText),
+      parse_mode: 'HTML',
+      reply_markup: broadcastReplyMarkup(content)
     }
+  });
 
-    // --- ADMIN: Save ticket reply ---
-    if (String(userId) === String(ADMIN_CHAT_ID) && step === "awaiting_ticket_reply" && text) {
-      const ticketId = state.tempData || "";
+  if (job) {
+    job.message = JSON.stringify(content);
+    await saveBroadcastJob(job);
+  }
+}
+
+// ========================================
+// SCHEDULED BROADCASTS
+// ========================================
+// زمان اجرا به وقت تهران و با فرمت «YYYY-MM-DD HH:MM» (هم‌خوان با getNow) ذخیره می‌شود.
+// زمان‌بندی‌ها در شیت ScheduledBroadcasts هستند و بعد از ری‌استارت هم اجرا می‌شوند.
 
-      const tickets = await readSheet("Tickets");
-      let ticketRowIdx = -1;
-      let ticketRow = null;
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS || 30 * 1000);
 
-      for (let i = 1; i < tickets.length; i++) {
-        if (String(tickets[i][0]) === String(ticketId)) {
-          ticketRowIdx = i;
-          ticketRow = tickets[i];
-          break;
-        }
-      }
+const SCHEDULE_TYPE_LABELS = {
+  all: "📢 پیام همگانی",
+  filtered: "🎯 پیام فیلتر شده",
+  announcement: "📋 اطلاعیه"
+};
+
+const SCHEDULE_STATUS_LABELS = {
+  Pending: "⏳ در انتظار",
+  Sent: "✅ ارسال شد",
+  Cancelled: "🚫 لغو شد"
+};
+
+let schedulerRunning = false;
 
-      if (!ticketRow) {
-        await sendMessage(chatId, formatMessage("خطا", "❌ تیکت پیدا نشد."));
-        await clearUserState(userId);
-        return;
-      }
+function formatTehranDateTime(date) {
+  return date.toLocaleString('sv-SE', { timeZone: 'Asia/Tehran' }).replace('T', ' ').slice(0, 16);
+}
 
-      const targetUserId = ticketRow[1];
-      const email = ticketRow[2] || "";
-      const now = getNow();
+// "2026-10-20 18:30" به وقت تهران → Date (یا null اگر نامعتبر باشد)
+function parseTehranDateTime(input) {
+  const m = normalizeDigits(input).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
 
-      ticketRow[4] = text;
-      ticketRow[6] = now;
-      ticketRow[7] = "No";
+  const [y, mo, d, h, mi] = m.slice(1).map(Number);
+  const pad = n => String(n).padStart(2, "0");
+  const wanted = `${y}-${pad(mo)}-${pad(d)} ${pad(h)}:${pad(mi)}`;
 
-      await updateRow("Tickets", ticketRowIdx + 1, ticketRow);
+  // اختلاف ساعت تهران با UTC در همان لحظه محاسبه می‌شود
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const wallClock = Date.parse(formatTehranDateTime(new Date(guess)).replace(' ', 'T') + ':00Z');
+  const date = new Date(guess - (wallClock - guess));
 
-      try {
-        await sendMessage(targetUserId,
-          formatMessage("پاسخ تیکت",
-            `📢 پاسخ تیکت شما به شماره:\n<code>${ticketId}</code>\n\nبه شرح زیر می‌باشد:\n\n${text}`
-          ),
-          { inline_keyboard: [[{ text: "↩️ بازگشت به منوی اصلی", callback_data: "back_to_main_send" }]] }
-        );
+  // تاریخ‌های ناموجود (مثل 02-31) بعد از تبدیل عوض می‌شوند
+  if (isNaN(date.getTime()) || formatTehranDateTime(date) !== wanted) return null;
+  return date;
+}
 
-        ticketRow[7] = "Yes";
-        await updateRow("Tickets", ticketRowIdx + 1, ticketRow);
-      } catch (e) {
-        console.error("Failed to send ticket reply:", e.message);
-      }
+function scheduleToRow(s) {
+  return [
+    s.scheduleId,
+    s.type,
+    JSON.stringify(s.content),
+    s.audience.filters ? JSON.stringify({ filters: s.audience.filters }) : (s.audience.targetIds || []).join(","),
+    s.runAt,
+    s.status,
+    s.adminChatId,
+    s.createdAt,
+    s.dispatchedAt
+  ];
+}
 
-      await clearUserState(userId);
-      await sendMessage(chatId,
-        formatMessage("پاسخ ارسال شد", `✅ پاسخ به تیکت ${ticketId} با موفقیت ارسال شد.`)
-      );
-      return;
-    }
+function rowToSchedule(row, rowNumber) {
+  return {
+    scheduleId: row[0],
+    type: row[1] || "all",
+    content: parseBroadcastContent(row[2]),
+    // ستون TargetIDs: فیلترهای سگمنت به صورت JSON یا لیست دستی ID با کاما (ردیف‌های قدیمی)
+    audience: String(row[3] || "").startsWith("{")
+      ? parseJsonSafe(row[3], { targetIds: [] })
+      : { targetIds: (row[3] || "").split(",").filter(Boolean) },
+    runAt: row[4] || "",
+    status: row[5] || "Pending",
+    adminChatId: row[6] || ADMIN_CHAT_ID,
+    createdAt: row[7] || "",
+    dispatchedAt: row[8] || "",
+    rowNumber
+  };
+}
 
-    // --- DEFAULT: Unknown message ---
-    if (text && !step) {
-      await deleteMenuIfExists(userId, chatId);
-      const mid = await sendMessage(chatId,
-        formatMessage("RBI24", `سلام ${firstName} عزیز 👋\n\nلطفاً از منوی زیر استفاده کنید:`),
-        mainMenuKeyboard()
-      );
-      if (mid) await setUserStateFields(userId, { lastMenu: String(mid) });
-      await logUserAction(userId, "unknown_message");
-      return;
-    }
+async function getSchedule(scheduleId) {
+  const found = await findRowByFirstCol("ScheduledBroadcasts", scheduleId);
+  return found ? rowToSchedule(found.row, found.rowNumber) : null;
+}
 
-  } catch (err) {
-    console.error("❌ handleUpdate error:", err);
-    try {
-      await sendMessage(ADMIN_CHAT_ID, `⚠️ Bot Error:\n${String(err)}`);
-    } catch(e) {}
-  }
+async function saveSchedule(schedule) {
+  await updateRow("ScheduledBroadcasts", schedule.rowNumber, scheduleToRow(schedule));
 }
 
-// ========================================
-// ADMIN FUNCTIONS
-// ========================================
+async function getPendingSchedules() {
+  const rows = await readSheet("ScheduledBroadcasts");
+  return rows.slice(1)
+    .map((row, i) => rowToSchedule(row, i + 2))
+    .filter(s => s.scheduleId && s.status === "Pending")
+    .sort((a, b) => (parseTehranDateTime(a.runAt) || 0) - (parseTehranDateTime(b.runAt) || 0));
+}
 
-async function handleAdminStats(chatId, messageId) {
-  try {
-    const users = await readSheet("Users");
-    const tickets = await readSheet("Tickets");
+async function createSchedule(type, content, audience, runAt, adminChatId) {
+  const schedule = {
+    scheduleId: `SCH_${Date.now()}`,
+    type,
+    content,
+    audience: audience || { targetIds: [] },
+    runAt: formatTehranDateTime(runAt),
+    status: "Pending",
+    adminChatId: String(adminChatId),
+    createdAt: getNow(),
+    dispatchedAt: ""
+  };
 
-    const totalUsers = Math.max(0, users.length - 1);
+  await appendRow("ScheduledBroadcasts", scheduleToRow(schedule));
+  await logAdminAction(adminChatId, "schedule_create", schedule.scheduleId,
+    `${SCHEDULE_TYPE_LABELS[type]} | ${schedule.runAt} | ${scheduleContentSummary(schedule)}`
+  );
+  return schedule;
+}
 
-    let openTickets = 0;
-    let closedTickets = 0;
-    for (let i = 1; i < tickets.length; i++) {
-      if ((tickets[i][4] || "").trim()) closedTickets++;
-      else openTickets++;
-    }
+function scheduleContentSummary(schedule) {
+  if (schedule.type === "announcement") return `${schedule.content.title}: ${schedule.content.text}`;
+  return broadcastContentSummary(schedule.content);
+}
 
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    let activeUsers = 0;
-    for (let i = 1; i < users.length; i++) {
-      const last = users[i][7] ? new Date(users[i][7]) : null;
-      if (last && last > sevenDaysAgo) activeUsers++;
-    }
+async function dispatchSchedule(schedule) {
+  if (schedule.type === "announcement") {
+    const { title, text } = schedule.content;
+    const id = `ANN_${Date.now()}`;
+    await appendRow("Announcements", [id, title, text, getNow(), "Yes"]);
+    await logAdminAction(schedule.adminChatId, "announcement_create", id, `${schedule.scheduleId} | ${title}: ${text}`);
+    await sendMessage(schedule.adminChatId, formatMessage("✅ اطلاعیه زمان‌بندی‌شده ثبت شد",
+      `عنوان: ${title}\n\nمتن: ${text}`
+    ));
+    return;
+  }
 
-    const content =
-      `👥 کل کاربران: <b>${totalUsers}</b>\n` +
-      `📊 کاربران فعال (7 روز): <b>${activeUsers}</b>\n\n` +
-      `🎫 تیکت‌های باز: <b>${openTickets}</b>\n` +
-      `✅ تیکت‌های بسته: <b>${closedTickets}</b>\n\n` +
-      `🕐 آخرین به‌روزرسانی: ${getNow()}`;
+  await sendMessage(schedule.adminChatId, formatMessage("⏰ ارسال زمان‌بندی‌شده",
+    `🆔 <code>${schedule.scheduleId}</code>\n🗓 ${schedule.runAt}`
+  ));
 
-    await editMessageText(chatId, messageId,
-      formatMessage("آمار سیستم", content),
-      { inline_keyboard: [[{ text: "↩️ بستن", callback_data: "admin_close" }]] }
-    );
-  } catch (e) {
-    await sendMessage(chatId, formatMessage("خطا", "❌ خطا در دریافت آمار."));
+  if (schedule.type === "filtered") {
+    await handleFilteredBroadcast(schedule.adminChatId, schedule.audience, schedule.content);
+  } else {
+    await handleBroadcast(schedule.adminChatId, schedule.content);
   }
 }
 
-async function handleAdminViewTickets(chatId, messageId) {
+async function runDueSchedules() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+
   try {
-    const tickets = await readSheet("Tickets");
-    const openTickets = [];
+    const now = Date.now();
+    const due = (await getPendingSchedules()).filter(s => {
+      const at = parseTehranDateTime(s.runAt);
+      return at && at.getTime() <= now;
+    });
 
-    for (let i = 1; i < tickets.length; i++) {
-      const row = tickets[i];
-      if (!(row[4] || "").trim()) {
-        openTickets.push({ row, idx: i });
-      }
-    }
+    for (const schedule of due) {
+      // وضعیت قبل از ارسال ثبت می‌شود تا با ری‌استارت، پیام دوبار فرستاده نشود
+      schedule.status = "Sent";
+      schedule.dispatchedAt = getNow();
+      await saveSchedule(schedule);
+      await flushWrites();
 
-    if (openTickets.length === 0) {
-      await editMessageText(chatId, messageId,
-        formatMessage("🎫 تیکت‌های باز", "✅ در حال حاضر تیکت باز وجود ندارد."),
-        { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "admin_close" }]] }
-      );
-      return;
+      await dispatchSchedule(schedule);
     }
+  } catch (e) {
+    console.error("runDueSchedules error:", e.message);
+  } finally {
+    schedulerRunning = false;
+  }
+}
 
-    // نمایش ۵ تیکت اول + دکمه پاسخ برای هر کدام
-    const showTickets = openTickets.slice(0, 5);
-    let content = `<b>${openTickets.length} تیکت باز</b> (نمایش ${showTickets.length}):\n\n`;
+function startScheduler() {
+  runDueSchedules();
+  setInterval(runDueSchedules, SCHEDULER_INTERVAL_MS);
+}
 
-    const keyboard = { inline_keyboard: [] };
+// ========================================
+// UPDATE QUEUE
+// ========================================
+// آپدیت‌های هر چت به ترتیب و پشت سر هم پردازش می‌شوند تا دو کلیک سریع روی
+// ردیف‌های State/Users با هم تداخل نکنند. update_id های اخیر هر چند ثانیه و هنگام
+// خاموش شدن در Settings ذخیره می‌شوند تا آپدیت تکراری تلگرام (retry) حتی بعد از
+// ری‌استارت دوباره اجرا نشود.
+
+const RECENT_UPDATE_IDS_LIMIT = 500;
+const RECENT_UPDATE_IDS_SAVE_INTERVAL_MS = 10 * 1000;
+
+const chatQueues = new Map();   // chatId -> آخرین Promise در صف آن چت
+let recentUpdateIds = new Set();
+let recentUpdateIdsDirty = false;
+
+async function loadRecentUpdateIds() {
+  const saved = await getSetting("recent_update_ids");
+  recentUpdateIds = new Set(saved.split(",").filter(Boolean));
+  console.log(`✅ Loaded ${recentUpdateIds.size} recent update ids`);
+}
 
-    for (const { row } of showTickets) {
-      const tid = row[0] || "";
-      const uid = row[1] || "";
-      const email = row[2] || "";
-      const msg = (row[3] || "").substring(0, 60);
-      const date = row[5] || "";
+// همزمان (sync) بررسی و ثبت می‌شود تا دو نسخه هم‌زمان یک آپدیت هر دو رد نشوند
+function markUpdateSeen(updateId) {
+  const key = String(updateId);
+  if (recentUpdateIds.has(key)) return false;
 
-      content += `🔖 <code>${tid}</code>\n`;
-      content += `👤 ${uid} | ${email}\n`;
-      content += `📝 ${msg}${msg.length >= 60 ? "..." : ""}\n`;
-      content += `🗓 ${date}\n\n`;
+  recentUpdateIds.add(key);
+  while (recentUpdateIds.size > RECENT_UPDATE_IDS_LIMIT) {
+    recentUpdateIds.delete(recentUpdateIds.values().next().value);
+  }
 
-      keyboard.inline_keyboard.push([
-        { text: `✍️ پاسخ به ${tid.substring(0, 15)}...`, callback_data: `admin_reply_ticket_${tid}` }
-      ]);
-    }
+  recentUpdateIdsDirty = true;
+  return true;
+}
 
-    keyboard.inline_keyboard.push([{ text: "↩️ بازگشت", callback_data: "admin_close" }]);
+// لیست فقط وقتی تغییر کرده باشد نوشته می‌شود، نه با هر آپدیت
+async function saveRecentUpdateIds() {
+  if (!recentUpdateIdsDirty) return;
+  recentUpdateIdsDirty = false;
 
-    await editMessageText(chatId, messageId,
-      formatMessage("🎫 تیکت‌های باز", content),
-      keyboard
-    );
+  try {
+    await setSetting("recent_update_ids", [...recentUpdateIds].join(","));
   } catch (e) {
-    console.error("handleAdminViewTickets error:", e.message);
-    await sendMessage(chatId, formatMessage("خطا", "❌ خطا در دریافت تیکت‌ها."));
+    recentUpdateIdsDirty = true;
+    console.error("saving recent update ids failed:", e.message);
   }
 }
 
-async function handleAdminBackup(chatId) {
-  try {
-    await sendMessage(chatId, "⏳ در حال آماده‌سازی بکاپ...");
-
-    const sheetNames = [
-      "Users", "State", "Tickets", "EmailLog",
-      "InvestRequests", "WithdrawRequests",
-      "BroadcastLogs", "Announcements", "FAQ",
-      "UserActions", "TicketRateLimits",
-      "Lessons", "FilteredBroadcast"
-    ];
+function startRecentUpdateIdsSaver() {
+  setInterval(saveRecentUpdateIds, RECENT_UPDATE_IDS_SAVE_INTERVAL_MS);
+}
 
+function getUpdateChatKey(update) {
+  if (update.message) return String(update.message.chat.id);
+  if (update.callback_query) {
+    const cq = update.callback_query;
+    return String(cq.message ? cq.message.chat.id : cq.from.id);
+  }
+  return "_other";
+}
 
+function enqueueUpdate(update) {
+  if (!update || typeof update !== "object") return Promise.resolve();
 
-    const backup = { exportedAt: getNow(), version: "2.0", sheets: {} };
+  if (update.update_id !== undefined && !markUpdateSeen(update.update_id)) {
+    console.log(`↩️ Skipping duplicate update ${update.update_id}`);
+    return Promise.resolve();
+  }
 
-    for (const name of sheetNames) {
-      try { backup.sheets[name] = await readSheet(name); }
-      catch (e) { backup.sheets[name] = []; }
-    }
+  const key = getUpdateChatKey(update);
+  const prev = chatQueues.get(key) || Promise.resolve();
+  const next = prev.then(() => handleUpdate(update)).catch(e => {
+    console.error('❌ processing update failed:', e);
+  });
 
-    const summary = { exportedAt: backup.exportedAt, sheetCounts: {} };
-    for (const [k, v] of Object.entries(backup.sheets)) {
-      summary.sheetCounts[k] = Array.isArray(v) ? Math.max(0, v.length - 1) : 0;
-    }
+  chatQueues.set(key, next);
+  next.then(() => {
+    if (chatQueues.get(key) === next) chatQueues.delete(key);
+  });
 
-    await sendMessage(chatId,
-      `💾 <b>بکاپ دیتابیس (خلاصه)</b>\n\n<pre>${JSON.stringify(summary, null, 2)}</pre>\n\n` +
-      `برای دانلود کامل فایل JSON، در مرورگر باز کنید:\n` +
-      `<code>/admin/backup?secret=YOUR_SECRET</code>`
-    );
-  } catch (e) {
-    await sendMessage(chatId, "❌ خطا در ایجاد بکاپ.");
-  }
+  return next;
 }
 
-async function handleBroadcast(chatId, messageText) {
-  try {
-    await sendMessage(chatId, "📢 در حال ارسال پیام همگانی...");
-
-    const users = await readSheet("Users");
-    let sent = 0, failed = 0;
-    const broadcastId = `BC_${Date.now()}`;
-    const now = getNow();
+// ========================================
+// WEBHOOK MANAGEMENT
+// ========================================
 
-    for (let i = 1; i < users.length; i++) {
-      const targetId = users[i][0];
-      if (!targetId) continue;
+function isValidWebhookRequest(req) {
+  if (!WEBHOOK_SECRET) return true;
 
-      try {
-        const mid = await sendMessage(targetId,
-          formatMessage("اطلاعیه رسمی RBI24", messageText)
-        );
-        if (mid) {
-          sent++;
-          await appendRow("BroadcastLogs", [broadcastId, targetId, mid, now, "No"]);
-        } else {
-          failed++;
-        }
-      } catch (e) {
-        failed++;
-      }
+  const received = Buffer.from(String(req.get('X-Telegram-Bot-Api-Secret-Token') || ""));
+  const expected = Buffer.from(WEBHOOK_SECRET);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
 
-      await sleep(50);
-    }
+async function registerWebhook() {
+  const payload = { url: WEBHOOK_URL, allowed_updates: WEBHOOK_ALLOWED_UPDATES };
+  if (WEBHOOK_SECRET) payload.secret_token = WEBHOOK_SECRET;
 
-    await sendMessage(chatId,
-      formatMessage("نتیجه ارسال",
-        `✅ ارسال شد: ${sent}\n❌ ناموفق: ${failed}\n🆔 شناسه: ${broadcastId}`
-      )
-    );
-  } catch (e) {
-    await sendMessage(chatId, "❌ خطا در ارسال پیام همگانی.");
-  }
+  const r = await telegramCall('setWebhook', payload);
+  if (r && r.ok) console.log(`✅ Webhook registered: ${WEBHOOK_URL}`);
+  else console.error("❌ setWebhook failed");
+  return r;
 }
 
-async function handleFilteredBroadcast(chatId, targetIds, messageText) {
-  try {
-    await sendMessage(chatId, `⏳ در حال ارسال پیام به ${targetIds.length} کاربر...`);
+// ========================================
+// LONG POLLING
+// ========================================
 
-    let sent = 0, failed = 0;
-    const broadcastId = `FBC_${Date.now()}`;
-    const now = getNow();
+const POLLING_TIMEOUT_SEC = 30;
 
-    for (const targetId of targetIds) {
-      const id = targetId.trim();
-      if (!id) continue;
+async function startPolling() {
+  // getUpdates تا وقتی webhook فعال باشد خطای 409 می‌دهد
+  await telegramCall('deleteWebhook', {});
 
-      try {
-        const mid = await sendMessage(id,
-          formatMessage("📨 پیام اختصاصی RBI24", messageText)
-        );
-        if (mid) {
-          sent++;
-          await appendRow("BroadcastLogs", [broadcastId, id, mid, now, "No"]);
-        } else {
-          failed++;
-        }
-      } catch (e) {
-        failed++;
-      }
+  let offset = Number(await getSetting("polling_offset")) || 0;
+  console.log(`✅ Long polling started (offset ${offset})`);
 
-      await sleep(50);
-    }
+  while (true) {
+    try {
+      const res = await axios.post(`${TELEGRAM_API}/getUpdates`, {
+        offset,
+        timeout: POLLING_TIMEOUT_SEC,
+        allowed_updates: WEBHOOK_ALLOWED_UPDATES
+      }, { timeout: (POLLING_TIMEOUT_SEC + 10) * 1000 });
 
-    // ذخیره لاگ خلاصه
-    await appendRow("FilteredBroadcast", [
-      broadcastId,
-      targetIds.join(","),
-      messageText.substring(0, 100),
-      now,
-      sent
-    ]);
+      const updates = res.data && res.data.ok ? res.data.result : [];
 
-    await sendMessage(chatId,
-      formatMessage("✅ نتیجه ارسال",
-        `✅ ارسال موفق: ${sent}\n❌ ناموفق: ${failed}\n🆔 شناسه: ${broadcastId}`
-      ),
-      adminMenuKeyboard()
-    );
-  } catch (e) {
-    console.error("handleFilteredBroadcast error:", e.message);
-    await sendMessage(chatId, "❌ خطا در ارسال پیام فیلتر شده.");
+      for (const update of updates) {
+        enqueueUpdate(update);
+        offset = update.update_id + 1;
+      }
+
+      if (updates.length > 0) await setSetting("polling_offset", String(offset));
+    } catch (err) {
+      console.error('❌ getUpdates error:', err?.response?.data || err.message);
+
+      if (err?.response?.status === 409) {
+        await telegramCall('deleteWebhook', {});
+      }
+      await sleep(5000);
+    }
   }
 }
 
@@ -1663,14 +6745,14 @@ async function handleFilteredBroadcast(chatId, targetIds, messageText) {
 // EXPRESS ROUTES
 // ========================================
 
-app.post('/webhook', async (req, res) => {
-  const update = req.body;
-  res.status(200).send('ok');
-  try {
-    await handleUpdate(update);
-  } catch (e) {
-    console.error('❌ processing update failed:', e);
+app.post('/webhook', (req, res) => {
+  if (!isValidWebhookRequest(req)) {
+    console.warn(`⚠️ Rejected webhook call with invalid secret token from ${req.ip}`);
+    return res.status(401).send('Unauthorized');
   }
+
+  res.status(200).send('ok');
+  enqueueUpdate(req.body);
 });
 
 app.get('/', (req, res) => res.send('✅ RBI24 Bot v2.0 running'));
@@ -1683,34 +6765,63 @@ app.get('/admin/sync', async (req, res) => {
   }
 
   try {
-    const tickets = await readSheet("Tickets");
-
-    for (let i = 1; i < tickets.length; i++) {
-      const row = tickets[i];
-      const ticketId = row[0];
-      const targetUserId = row[1];
-      const email = row[2] || "";
-      const message = row[3] || "";
-      const answer = row[4] || "";
-      const createdAt = row[5] || "";
-      const notified = (row[7] || "").toString().toLowerCase();
-
-      if (answer && notified !== 'yes') {
-        try {
-          await sendMessage(targetUserId,
-            formatMessage("پاسخ تیکت",
-              `📢 پاسخ تیکت شما:\n<code>${ticketId}</code>\n\n${answer}`
-            ),
-            { inline_keyboard: [[{ text: "↩️ منوی اصلی", callback_data: "back_to_main_send" }]] }
-          );
-        } catch (e) {
-          console.error("sync ticket send failed:", e.message);
-        }
+    // پاسخ‌ها و وضعیت‌ها ممکن است دستی در شیت تغییر کرده باشند
+    invalidateSheet("Tickets");
+    invalidateSheet("TicketMessages");
+    invalidateSheet("InvestRequests");
+    invalidateSheet("WithdrawRequests");
+
+    const tickets = await getAllTickets();
+
+    for (const ticket of tickets) {
+      if (!ticket.answer || ticket.notified.toString().toLowerCase() === 'yes') continue;
+
+      // پاسخ دستی در شیت: اگر هنوز در گفتگو نیست (پاسخ ساخته‌شده از ستون Answer شناسه ندارد)
+      // اضافه می‌شود و تیکت منتظر کاربر می‌ماند
+      const thread = await getTicketThread(ticket);
+      const last = thread[thread.length - 1];
+      const inThread = !!last && last.sender === "admin" && !!last.messageId &&
+        ticketMessageBody(last.text, last.attachments) === ticket.answer;
+      let answerId = inThread ? last.messageId : "";
+      const attachments = inThread ? last.attachments : [];
+      if (!inThread) {
+        answerId = await addTicketMessage(ticket.ticketId, "admin", "sync", ticket.answer);
+        ticket.answeredAt = getNow();
+        ticket.answeredBy = "sync";
+        ticket.status = "WaitingUser";
+        await saveTicket(ticket);
+        await logAdminAction("sync", "ticket_reply_sync", ticket.ticketId, ticket.answer);
+        await emailTicketAnswer(ticket);
+      }
 
-        const now = getNow();
-        await updateRow("Tickets", i + 1,
-          [ticketId, targetUserId, email, message, answer, createdAt, now, "Yes"]
-        );
+      try {
+        await deliverTicketAnswer(ticket, attachments, answerId);
+      } catch (e) {
+        console.error("sync ticket send failed:", e.message);
+      }
+    }
+
+    // درخواست‌های سرمایه‌گذاری که وضعیتشان در شیت تغییر کرده
+    const investRequests = await readSheet("InvestRequests");
+
+    for (let i = 1; i < investRequests.length; i++) {
+      const status = investRequests[i][7] || "";
+      const notified = (investRequests[i][8] || "").toString().toLowerCase();
+
+      if ((status === "Approved" || status === "Rejected") && notified !== 'yes') {
+        const req = await getInvestRequest(investRequests[i][0]);
+        if (req) await notifyInvestRequestStatus(req);
+      }
+    }
+
+    const withdrawRequests = await readSheet("WithdrawRequests");
+
+    for (let i = 1; i < withdrawRequests.length; i++) {
+      const req = rowToWithdrawRequest(withdrawRequests[i], i);
+      const notified = req.notified.toString().toLowerCase();
+
+      if (["Approved", "Rejected", "Paid"].includes(req.status) && notified !== 'yes') {
+        await notifyWithdrawRequestStatus(req);
       }
     }
 
@@ -1729,12 +6840,7 @@ app.get('/admin/backup', async (req, res) => {
   }
 
   try {
-    const sheetNames = [
-      "Users", "State", "Tickets", "EmailLog",
-      "InvestRequests", "WithdrawRequests",
-      "BroadcastLogs", "Announcements", "FAQ",
-      "UserActions", "TicketRateLimits"
-    ];
+    const sheetNames = BACKUP_SHEETS;
 
     const backup = { exportedAt: getNow(), version: "2.0", sheets: {} };
 
@@ -1743,6 +6849,8 @@ app.get('/admin/backup', async (req, res) => {
       catch (e) { backup.sheets[name] = []; }
     }
 
+    await logAdminAction("http", "backup_download", "", req.ip);
+
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition',
       `attachment; filename="rbi24_backup_${Date.now()}.json"`
@@ -1753,6 +6861,72 @@ app.get('/admin/backup', async (req, res) => {
   }
 });
 
+// Audit log export (JSON یا CSV)
+app.get('/admin/audit', async (req, res) => {
+  const secret = req.query.secret || "";
+  if (!ADMIN_SYNC_SECRET || secret !== ADMIN_SYNC_SECRET) {
+    return res.status(403).send('Forbidden');
+  }
+
+  try {
+    const entries = await getAuditEntries();
+
+    if (req.query.format === "csv") {
+      const header = ["timestamp", "actorId", "actorRole", "action", "target", "summary"];
+      const lines = [header.join(",")].concat(
+        entries.map(e => header.map(k => csvCell(e[k])).join(","))
+      );
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition',
+        `attachment; filename="rbi24_audit_${Date.now()}.csv"`
+      );
+      return res.send("\uFEFF" + lines.join("\n"));
+    }
+
+    res.json({ exportedAt: getNow(), count: entries.length, entries });
+  } catch (e) {
+    console.error("audit export error:", e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Webhook status (getWebhookInfo)
+app.get('/admin/webhook', async (req, res) => {
+  const secret = req.query.secret || "";
+  if (!ADMIN_SYNC_SECRET || secret !== ADMIN_SYNC_SECRET) {
+    return res.status(403).send('Forbidden');
+  }
+
+  const info = await telegramCall('getWebhookInfo', {});
+  if (!info) return res.status(502).json({ error: "getWebhookInfo failed" });
+
+  res.json({
+    configuredUrl: WEBHOOK_URL,
+    secretConfigured: !!WEBHOOK_SECRET,
+    allowedUpdates: WEBHOOK_ALLOWED_UPDATES,
+    telegram: info.result
+  });
+});
+
+// Re-register webhook with the configured URL / secret
+app.get('/admin/webhook/register', async (req, res) => {
+  const secret = req.query.secret || "";
+  if (!ADMIN_SYNC_SECRET || secret !== ADMIN_SYNC_SECRET) {
+    return res.status(403).send('Forbidden');
+  }
+
+  if (!WEBHOOK_URL) {
+    return res.status(400).json({ error: "WEBHOOK_URL is not configured" });
+  }
+
+  const r = await registerWebhook();
+  if (!r || !r.ok) return res.status(502).json({ error: "setWebhook failed", telegram: r });
+
+  const info = await telegramCall('getWebhookInfo', {});
+  res.json({ ok: true, telegram: info ? info.result : null });
+});
+
 // Admin Stats API
 app.get('/admin/stats', async (req, res) => {
   const secret = req.query.secret || "";
@@ -1762,13 +6936,16 @@ app.get('/admin/stats', async (req, res) => {
 
   try {
     const users = await readSheet("Users");
-    const tickets = await readSheet("Tickets");
+    const ticketList = await getAllTickets();
+    const ratings = await getCsatRatings();
     const totalUsers = Math.max(0, users.length - 1);
 
     let openTickets = 0, closedTickets = 0;
-    for (let i = 1; i < tickets.length; i++) {
-      if ((tickets[i][4] || "").trim()) closedTickets++;
-      else openTickets++;
+    const ticketsByStatus = {};
+    for (const t of ticketList) {
+      ticketsByStatus[t.status] = (ticketsByStatus[t.status] || 0) + 1;
+      if (TICKET_ACTIVE_STATUSES.includes(t.status)) openTickets++;
+      else closedTickets++;
     }
 
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
@@ -1781,7 +6958,13 @@ app.get('/admin/stats', async (req, res) => {
     res.json({
       timestamp: getNow(),
       users: { total: totalUsers, activeLastWeek: activeUsers },
-      tickets: { open: openTickets, closed: closedTickets }
+      tickets: { open: openTickets, closed: closedTickets, byStatus: ticketsByStatus },
+      csat: {
+        last7Days: csatSummary(ratings, formatTehranDateTime(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000))),
+        last30Days: csatSummary(ratings, formatTehranDateTime(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000))),
+        allTime: csatSummary(ratings),
+        byAdmin: csatByAdmin(ratings)
+      }
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -1794,18 +6977,79 @@ app.get('/admin/stats', async (req, res) => {
 
 async function main() {
   console.log("🚀 Starting RBI24 Bot v2.0...");
-  await initSheetsClient();
+  await storage.init();
   await ensureSheetHeaders();
+  restorePendingWrites();
+  await loadRecentUpdateIds();
+  startRecentUpdateIdsSaver();
+  await resumeBroadcastJobs();
+  startScheduler();
+  startEmailOutbox();
+  startTicketAutoClose();
+  startTicketSlaMonitor();
 
   app.listen(PORT, () => {
     console.log(`✅ Server listening on port ${PORT}`);
   });
+
+  if (BOT_MODE === "polling") {
+    startPolling().catch(err => console.error('❌ Polling loop stopped:', err));
+    return;
+  }
+
+  if (!WEBHOOK_SECRET) {
+    console.warn("⚠️ WEBHOOK_SECRET is not set; /webhook accepts unauthenticated requests");
+  }
+
+  if (WEBHOOK_URL) {
+    await registerWebhook();
+  }
+}
+
+// ثبت نوشتن‌های معلق کش قبل از خاموش شدن
+async function shutdown(signal) {
+  console.log(`🛑 ${signal} received, flushing pending writes...`);
+  // ارسال همگانی بعد از پیام جاری متوقف می‌شود تا وضعیت صف در flush نهایی ثبت شود
+  broadcastStopping = true;
+  await Promise.race([broadcastWorker, sleep(BROADCAST_SHUTDOWN_WAIT_MS)]);
+  try {
+    await saveRecentUpdateIds();
+    await flushWrites();
+  } catch (e) {
+    console.error("❌ Final flush failed:", e.message);
+  }
+  savePendingWritesLocally();
+  process.exit(0);
+}
+
+// با require (مثلاً در تست‌ها) فقط توابع export می‌شوند و ربات اجرا نمی‌شود
+if (require.main === module) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  main().catch(err => {
+    console.error('❌ Fatal startup error:', err);
+    process.exit(1);
+  });
 }
 
-main().catch(err => {
-  console.error('❌ Fatal startup error:', err);
-  process.exit(1);
-});
+module.exports = {
+  toCells,
+  createFileStorage,
+  storage,
+  readSheet,
+  appendRow,
+  updateRow,
+  findRowByFirstCol,
+  invalidateSheet,
+  flushWrites,
+  flushRetryDelay,
+  parseTehranDateTime,
+  hashEmailCode,
+  sendEmailVerificationCode,
+  verifyEmailCode,
+  csvCell
+};
 
 
 
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.STORAGE_BACKEND = 'file';
+// لاگ‌های ربات وسط خروجی test runner نیایند
+console.log = () => {};
+
+const { csvCell } = require('../index.js');
+
+test('plain values are written as they are', () => {
+  assert.equal(csvCell('ticket_reply'), 'ticket_reply');
+  assert.equal(csvCell(42), '42');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(undefined), '');
+});
+
+test('commas, quotes and line breaks are quoted', () => {
+  assert.equal(csvCell('a,b'), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell('line1\nline2'), '"line1\nline2"');
+});
+
+test('values that spreadsheets would run as formulas are neutralized', () => {
+  assert.equal(csvCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+  assert.equal(csvCell('+98912'), "'+98912");
+  assert.equal(csvCell('-1'), "'-1");
+  assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvCell('\tcmd'), "'\tcmd");
+});
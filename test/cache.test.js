@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.STORAGE_BACKEND = 'file';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rbi24-test-'));
+process.env.ADMIN_CHAT_ID = '';
+process.env.WRITE_FLUSH_DELAY_MS = '100';
+// لاگ‌های ربات وسط خروجی test runner نیایند
+console.log = () => {};
+console.error = () => {};
+
+const bot = require('../index.js');
+const { storage } = bot;
+
+test.before(async () => {
+  await storage.init();
+  await storage.ensureSheets([
+    { name: 'Users', headers: ['UserID', 'Username', 'Email'] },
+    { name: 'Notes', headers: ['NoteID', 'Text'] }
+  ]);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('reads are served from the cache until the sheet is invalidated', async () => {
+  await bot.readSheet('Users');
+  await storage.appendRows('Users', [['1', 'manual', '']]);
+
+  assert.equal((await bot.readSheet('Users')).length, 1);
+  bot.invalidateSheet('Users');
+  assert.deepEqual((await bot.readSheet('Users'))[1], ['1', 'manual', '']);
+});
+
+test('queued writes are visible before they are flushed', async () => {
+  await bot.appendRow('Users', ['2', 'queued', 'q@b.c']);
+
+  assert.deepEqual((await bot.findRowByFirstCol('Users', '2')).row, ['2', 'queued', 'q@b.c']);
+  assert.equal((await storage.read('Users')).some(r => r[0] === '2'), false);
+
+  await bot.flushWrites();
+  assert.equal((await storage.read('Users')).some(r => r[0] === '2'), true);
+});
+
+test('updateRow writes only changed cells so manual edits survive', async () => {
+  await bot.appendRow('Users', ['3', 'before', 'old@b.c']);
+  await bot.flushWrites();
+  const { rowNumber } = await bot.findRowByFirstCol('Users', '3');
+  await storage.batchUpdate([{ sheetName: 'Users', rowNumber, cells: { 1: 'edited by hand' } }]);
+
+  await bot.updateRow('Users', rowNumber, ['3', 'before', 'new@b.c']);
+  await bot.flushWrites();
+
+  assert.deepEqual((await storage.read('Users'))[rowNumber - 1], ['3', 'edited by hand', 'new@b.c']);
+});
+
+test('a failed flush keeps the writes queued and a later flush stores them', async () => {
+  const appendRows = storage.appendRows;
+  storage.appendRows = async () => { throw new Error('quota exceeded'); };
+
+  try {
+    await bot.appendRow('Notes', ['n1', 'kept']);
+    await bot.flushWrites();
+    assert.equal((await storage.read('Notes')).length, 1);
+  } finally {
+    storage.appendRows = appendRows;
+  }
+
+  await bot.flushWrites();
+  assert.deepEqual((await storage.read('Notes'))[1], ['n1', 'kept']);
+});
+
+test('flush retries back off exponentially up to the limit', () => {
+  assert.equal(bot.flushRetryDelay(1), 200);
+  assert.equal(bot.flushRetryDelay(2), 400);
+  assert.equal(bot.flushRetryDelay(3), 800);
+  assert.equal(bot.flushRetryDelay(20), 60 * 1000);
+});
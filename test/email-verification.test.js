@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.STORAGE_BACKEND = 'file';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rbi24-test-'));
+process.env.SMTP_HOST = '';
+// لاگ‌های ربات وسط خروجی test runner نیایند
+console.log = () => {};
+console.warn = () => {};
+
+const bot = require('../index.js');
+
+test.before(async () => {
+  await bot.storage.init();
+  await bot.storage.ensureSheets([
+    { name: 'EmailVerifications', headers: ['UserID', 'Email', 'CodeHash', 'ExpiresAt', 'Attempts', 'SentAt'] }
+  ]);
+});
+
+test.after(async () => {
+  await bot.flushWrites();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// کد مشخص برای تست؛ بقیه ستون‌ها مثل sendEmailVerificationCode
+async function storeCode(userId, email, code, { expiresInMs = 10 * 60 * 1000, attempts = 0 } = {}) {
+  const row = [userId, email, bot.hashEmailCode(userId, code), new Date(Date.now() + expiresInMs).toISOString(), attempts, new Date().toISOString()];
+  const found = await bot.findRowByFirstCol('EmailVerifications', userId);
+  if (found) await bot.updateRow('EmailVerifications', found.rowNumber, row);
+  else await bot.appendRow('EmailVerifications', row);
+}
+
+test('codes are stored as a per-user hash, not in plain text', () => {
+  const hash = bot.hashEmailCode('7', '123456');
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.notEqual(hash, bot.hashEmailCode('8', '123456'));
+  assert.notEqual(hash, bot.hashEmailCode('7', '123457'));
+});
+
+test('a sent code is saved hashed with an expiry and zero attempts', async () => {
+  assert.deepEqual(await bot.sendEmailVerificationCode('20', 'new@b.c'), { ok: true });
+
+  const { row } = await bot.findRowByFirstCol('EmailVerifications', '20');
+  assert.equal(row[1], 'new@b.c');
+  assert.match(row[2], /^[0-9a-f]{64}$/);
+  assert.ok(new Date(row[3]).getTime() > Date.now());
+  assert.equal(row[4], '0');
+});
+
+test('resending right away hits the cooldown', async () => {
+  const again = await bot.sendEmailVerificationCode('20', 'new@b.c');
+  assert.equal(again.error, 'cooldown');
+  assert.ok(again.waitSec > 0);
+});
+
+test('the right code verifies once, with Persian digits too', async () => {
+  await storeCode('1', 'a@b.c', '123456');
+
+  assert.deepEqual(await bot.verifyEmailCode('1', 'A@B.C', '۱۲۳ ۴۵۶'), { result: 'ok' });
+  assert.deepEqual(await bot.verifyEmailCode('1', 'a@b.c', '123456'), { result: 'expired' });
+});
+
+test('a code for another email is not accepted', async () => {
+  await storeCode('2', 'a@b.c', '123456');
+  assert.deepEqual(await bot.verifyEmailCode('2', 'other@b.c', '123456'), { result: 'expired' });
+});
+
+test('an expired code is rejected', async () => {
+  await storeCode('3', 'a@b.c', '123456', { expiresInMs: -1000 });
+  assert.deepEqual(await bot.verifyEmailCode('3', 'a@b.c', '123456'), { result: 'expired' });
+});
+
+test('wrong codes count down and then lock the code', async () => {
+  await storeCode('4', 'a@b.c', '123456');
+
+  for (let remaining = 4; remaining > 0; remaining--) {
+    assert.deepEqual(await bot.verifyEmailCode('4', 'a@b.c', '000000'), { result: 'wrong', remaining });
+  }
+  assert.deepEqual(await bot.verifyEmailCode('4', 'a@b.c', '000000'), { result: 'locked' });
+  assert.deepEqual(await bot.verifyEmailCode('4', 'a@b.c', '123456'), { result: 'locked' });
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.STORAGE_BACKEND = 'file';
+// لاگ‌های ربات وسط خروجی test runner نیایند
+console.log = () => {};
+
+const { parseTehranDateTime } = require('../index.js');
+
+test('parses Tehran wall-clock time into the matching UTC instant', () => {
+  assert.equal(parseTehranDateTime('2026-10-20 18:30').toISOString(), '2026-10-20T15:00:00.000Z');
+});
+
+test('accepts Persian digits and single-digit fields', () => {
+  assert.equal(parseTehranDateTime('۲۰۲۶-۱-۵ ۹:۰۵').toISOString(), '2026-01-05T05:35:00.000Z');
+});
+
+test('rejects dates and times that do not exist', () => {
+  assert.equal(parseTehranDateTime('2026-02-31 10:00'), null);
+  assert.equal(parseTehranDateTime('2026-10-20 24:00'), null);
+  assert.equal(parseTehranDateTime('2026-13-01 10:00'), null);
+});
+
+test('rejects other formats', () => {
+  assert.equal(parseTehranDateTime('2026/10/20 18:30'), null);
+  assert.equal(parseTehranDateTime('2026-10-20'), null);
+  assert.equal(parseTehranDateTime('tomorrow'), null);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.STORAGE_BACKEND = 'file';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rbi24-test-'));
+// لاگ‌های ربات وسط خروجی test runner نیایند
+console.log = () => {};
+
+const { toCells, createFileStorage } = require('../index.js');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const schemas = [{ name: 'Users', headers: ['UserID', 'Username', 'Email'] }];
+
+async function freshStorage() {
+  const dir = fs.mkdtempSync(path.join(process.env.DATA_DIR, 'file-'));
+  const storage = createFileStorage(dir);
+  await storage.init();
+  await storage.ensureSheets(schemas);
+  return { dir, storage };
+}
+
+test('toCells stores every value as a string like Google Sheets', () => {
+  assert.deepEqual(toCells([1, null, undefined, 'a', false]), ['1', '', '', 'a', 'false']);
+});
+
+test('ensureSheets writes the header row', async () => {
+  const { storage } = await freshStorage();
+  assert.deepEqual(await storage.read('Users'), [['UserID', 'Username', 'Email']]);
+});
+
+test('appendRows adds string rows after the header', async () => {
+  const { storage } = await freshStorage();
+  await storage.appendRows('Users', [[7, 'ali', null]]);
+  assert.deepEqual((await storage.read('Users'))[1], ['7', 'ali', '']);
+});
+
+test('read returns copies that do not change the stored rows', async () => {
+  const { storage } = await freshStorage();
+  await storage.appendRows('Users', [['7', 'ali', 'a@b.c']]);
+  (await storage.read('Users'))[1][1] = 'changed';
+  assert.equal((await storage.read('Users'))[1][1], 'ali');
+});
+
+test('batchUpdate overwrites only the given cells', async () => {
+  const { storage } = await freshStorage();
+  await storage.appendRows('Users', [['7', 'ali', 'a@b.c']]);
+  await storage.batchUpdate([{ sheetName: 'Users', rowNumber: 2, cells: { 2: 'new@b.c' } }]);
+  assert.deepEqual((await storage.read('Users'))[1], ['7', 'ali', 'new@b.c']);
+});
+
+test('batchUpdate beyond the last row adds the missing rows', async () => {
+  const { storage } = await freshStorage();
+  await storage.batchUpdate([{ sheetName: 'Users', rowNumber: 3, cells: { 0: '9' } }]);
+  const rows = await storage.read('Users');
+  assert.equal(rows.length, 3);
+  assert.equal(rows[2][0], '9');
+});
+
+test('data survives a new storage instance on the same directory', async () => {
+  const { dir, storage } = await freshStorage();
+  await storage.appendRows('Users', [['7', 'ali', 'a@b.c']]);
+  await storage.ensureSheets(schemas);
+
+  const reopened = createFileStorage(dir);
+  assert.deepEqual(await reopened.read('Users'), [['UserID', 'Username', 'Email'], ['7', 'ali', 'a@b.c']]);
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith('.tmp')), []);
+});